@@ -1,11 +1,39 @@
 /**
  * Components Module
- * Handles loading header/footer components and content.json data
- * Implements security features: HTML sanitization, XSS prevention
+ * Handles loading header/footer components and content.<locale>.json data
+ * Implements security features: HTML sanitization, Trusted Types, XSS prevention
  */
 
 let siteContent = null;
 
+/**
+ * Name of the only Trusted Types policy allowed by the CSP
+ * (trusted-types directive in every page)
+ */
+const TRUSTED_TYPES_POLICY_NAME = 'ifreelance4u';
+
+/**
+ * Scripts that may be loaded as workers, relative to the page
+ */
+const TRUSTED_SCRIPT_URLS = ['sw.js', 'assets/js/pow-worker.js'];
+
+/**
+ * Images named in content live in one folder, as plain file names. Responsive
+ * variants are named <name>-<width>w.<ext>, e.g. project-1-800w.jpg
+ */
+const CONTENT_IMAGE_PATH = 'assets/images/';
+const CONTENT_IMAGE_PATTERN = /^([\w-]+)\.(jpe?g|png|webp|avif|gif)$/i;
+
+/**
+ * Colors accepted for image placeholders (as in content-schema.js)
+ */
+const PLACEHOLDER_COLOR_PATTERN = /^(?:#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(?:rgb|rgba|hsl|hsla)\([0-9.,%\s/]+\))$/i;
+
+// Constructed stylesheet with one rule per placeholder color, so colors
+// never end up in style attributes (or in prerendered markup)
+let placeholderColorSheet = null;
+const placeholderColors = new Set();
+
 /**
  * HTML Escape - Prevent XSS by escaping HTML special characters
  */
@@ -23,25 +51,262 @@ function escapeHtml(text) {
 }
 
 /**
- * Sanitize HTML - Remove potentially dangerous HTML elements and attributes
+ * Default sanitizer allowlist
+ * Tags and attributes not listed here are removed. Attribute names ending
+ * in "*" are prefix matches (e.g. "aria-*"). Attributes listed under "*"
+ * are allowed on every tag.
+ */
+const DEFAULT_SANITIZER_CONFIG = {
+  allowedTags: [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'button', 'code', 'div', 'em',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img',
+    'li', 'nav', 'ol', 'p', 'section', 'small', 'span', 'strong', 'ul'
+  ],
+  allowedAttributes: {
+    '*': ['class', 'id', 'role', 'title', 'lang', 'dir', 'hidden', 'tabindex', 'aria-*', 'data-*'],
+    a: ['href', 'target', 'rel', 'hreflang'],
+    button: ['type', 'disabled'],
+    img: ['src', 'alt', 'width', 'height', 'loading', 'decoding']
+  },
+  // allowedSchemes defaults to ALLOWED_URL_SCHEMES in content-schema.js
+  urlAttributes: ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href']
+};
+
+/**
+ * Per call site allowlists for the injected includes
+ */
+const HEADER_SANITIZER_CONFIG = {
+  context: 'includes/header.html',
+  allowedTags: ['nav', 'div', 'a', 'i', 'span', 'button', 'ul', 'li']
+};
+
+const FOOTER_SANITIZER_CONFIG = {
+  context: 'includes/footer.html',
+  allowedTags: ['footer', 'div', 'p', 'ul', 'li', 'a', 'i', 'span', 'small']
+};
+
+/**
+ * Elements that are removed together with their content instead of being
+ * unwrapped, because their children are code or foreign markup
+ */
+const SANITIZER_DROP_CONTENT = [
+  'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object',
+  'embed', 'svg', 'math', 'noscript', 'noembed', 'xmp', 'title', 'textarea', 'select'
+];
+
+/**
+ * Report a security event, falling back to the console if main.js
+ * has not been loaded yet
+ */
+function reportSecurityEvent(event, details) {
+  if (typeof window.logSecurityEvent === 'function') {
+    window.logSecurityEvent(event, details);
+  } else {
+    console.warn(`[Security] ${event}:`, details);
+  }
+}
+
+/**
+ * Check whether a URL attribute value uses an allowed scheme, with the same
+ * rules as content validation (isAllowedContentUrl in content-schema.js)
+ */
+function isSafeUrl(value, allowedSchemes) {
+  return window.isAllowedContentUrl(value, allowedSchemes);
+}
+
+/**
+ * Check an attribute name against the allowlist for a tag
+ */
+function isAllowedAttribute(tagName, attrName, allowedAttributes) {
+  const candidates = [
+    ...(allowedAttributes['*'] || []),
+    ...(allowedAttributes[tagName] || [])
+  ];
+
+  return candidates.some(allowed => (
+    allowed.endsWith('*')
+      ? attrName.startsWith(allowed.slice(0, -1))
+      : attrName === allowed
+  ));
+}
+
+/**
+ * Sanitize HTML - Parse markup into an inert document and keep only
+ * allowlisted tags, attributes and URL schemes.
+ *
+ * @param {string} html - Untrusted markup
+ * @param {Object} [options] - Per call site overrides of DEFAULT_SANITIZER_CONFIG
+ *   (allowedTags, allowedAttributes, urlAttributes, allowedSchemes) and an
+ *   optional "context" label used when reporting removals
+ * @returns {string} Sanitized markup
  */
-function sanitizeHtml(html) {
+function sanitizeHtml(html, options = {}) {
   if (typeof html !== 'string') return '';
-  
-  // Remove script tags and their content (handles variations with spaces)
-  html = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script\s*>/gi, '');
-  
-  // Remove event handlers (onclick, onerror, etc.)
-  // More comprehensive pattern to catch variations
-  html = html.replace(/\s*on\w+\s*=\s*["'][^"']*["']/gi, '');
-  html = html.replace(/\s*on\w+\s*=\s*[^\s>]*/gi, '');
-  
-  // Remove javascript:, data:, and vbscript: protocols
-  html = html.replace(/javascript\s*:/gi, 'blocked:');
-  html = html.replace(/data\s*:/gi, 'blocked:');
-  html = html.replace(/vbscript\s*:/gi, 'blocked:');
-  
-  return html;
+
+  const config = { ...DEFAULT_SANITIZER_CONFIG, ...options };
+  const allowedTags = config.allowedTags.map(tag => tag.toLowerCase());
+  const removed = [];
+
+  // Inert document, see trustedSinks
+  const doc = trustedSinks.parse(html);
+
+  const sanitizeChildren = (parent) => {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tagName = node.tagName.toLowerCase();
+
+      if (!allowedTags.includes(tagName)) {
+        removed.push({ type: 'element', name: tagName });
+
+        if (SANITIZER_DROP_CONTENT.includes(tagName)) {
+          node.remove();
+        } else {
+          // Unwrap unknown elements but keep their (sanitized) content
+          sanitizeChildren(node);
+          node.replaceWith(...node.childNodes);
+        }
+        return;
+      }
+
+      Array.from(node.attributes).forEach(attr => {
+        const attrName = attr.name.toLowerCase();
+
+        if (attrName.startsWith('on') ||
+            !isAllowedAttribute(tagName, attrName, config.allowedAttributes)) {
+          removed.push({ type: 'attribute', name: attrName, tag: tagName });
+          node.removeAttribute(attr.name);
+          return;
+        }
+
+        if (config.urlAttributes.includes(attrName) &&
+            !isSafeUrl(attr.value, config.allowedSchemes)) {
+          removed.push({ type: 'url', name: attrName, tag: tagName });
+          node.removeAttribute(attr.name);
+        }
+      });
+
+      // Links opened in a new tab must not get a handle on this window
+      if (tagName === 'a' && node.getAttribute('target') === '_blank') {
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+
+      sanitizeChildren(node);
+    });
+  };
+
+  sanitizeChildren(doc.body);
+
+  if (removed.length > 0) {
+    reportSecurityEvent('HTML sanitized', {
+      context: config.context || 'unknown',
+      removed
+    });
+  }
+
+  return doc.body.innerHTML;
+}
+
+/**
+ * The Trusted Types policy, created on first use and kept in this closure so
+ * no other script can get hold of it. Every HTML string written to the DOM
+ * goes through createHTML(), which runs the sanitizer, and every worker script
+ * URL through createScriptURL(), which only accepts TRUSTED_SCRIPT_URLS.
+ * Browsers without Trusted Types get an object with the same rules that
+ * returns plain strings.
+ *
+ * sanitizeHtml() has to parse the raw markup before it can clean it, and
+ * parsing is a sink too. parse() passes the policy a token that only exists
+ * in here, so the unsanitized markup can only ever reach an inert document.
+ */
+const trustedSinks = (() => {
+  const PARSE_ONLY = Object.freeze({});
+  let policy = null;
+
+  const rules = {
+    createHTML: (html, options) => (
+      options === PARSE_ONLY ? html : sanitizeHtml(html, options)
+    ),
+    createScriptURL: (url) => {
+      const resolved = new URL(url, document.baseURI).href;
+
+      if (!TRUSTED_SCRIPT_URLS.some(allowed => new URL(allowed, document.baseURI).href === resolved)) {
+        reportSecurityEvent('Trusted Types policy rejected', { sink: 'script URL', url: resolved });
+        throw new TypeError(`Script URL is not allowed: ${resolved}`);
+      }
+      return resolved;
+    }
+  };
+
+  const getPolicy = () => {
+    if (policy) return policy;
+
+    if (window.trustedTypes && typeof window.trustedTypes.createPolicy === 'function') {
+      try {
+        policy = window.trustedTypes.createPolicy(TRUSTED_TYPES_POLICY_NAME, rules);
+        console.log('[Security] Trusted Types policy created');
+        return policy;
+      } catch (error) {
+        // The CSP does not allow the policy name, or it was created twice
+        reportSecurityEvent('Trusted Types policy rejected', {
+          policy: TRUSTED_TYPES_POLICY_NAME,
+          message: error.message
+        });
+      }
+    }
+
+    policy = { ...rules };
+    return policy;
+  };
+
+  return Object.freeze({
+    // DOMParser documents have no browsing context: scripts never run and
+    // resources never load while the sanitizer inspects the tree
+    parse: (html) => new DOMParser().parseFromString(getPolicy().createHTML(html, PARSE_ONLY), 'text/html'),
+    createHTML: (html, options = {}) => getPolicy().createHTML(html, options),
+    createScriptURL: (url) => getPolicy().createScriptURL(url)
+  });
+})();
+
+/**
+ * Write sanitized HTML into an element through the Trusted Types policy
+ *
+ * @param {Element} element - Target element
+ * @param {string} html - Untrusted markup
+ * @param {Object} [options] - Sanitizer options, see sanitizeHtml()
+ */
+function setTrustedHtml(element, html, options = {}) {
+  element.innerHTML = trustedSinks.createHTML(html, options);
+}
+
+/**
+ * Get a script URL for a worker or service worker through the policy.
+ * Throws for URLs that are not in TRUSTED_SCRIPT_URLS.
+ */
+function createTrustedScriptURL(url) {
+  return trustedSinks.createScriptURL(url);
+}
+
+/**
+ * Log Trusted Types violations reported by the browser, e.g. a script
+ * assigning a plain string to innerHTML
+ */
+function initTrustedTypesReporting() {
+  document.addEventListener('securitypolicyviolation', (event) => {
+    if (!/trusted-types/.test(event.violatedDirective)) return;
+    
+    reportSecurityEvent('Trusted Types violation', {
+      directive: event.violatedDirective,
+      source: event.sourceFile || 'unknown',
+      line: event.lineNumber,
+      sample: event.sample
+    });
+  });
 }
 
 /**
@@ -58,7 +323,12 @@ async function loadHeader() {
     const headerPlaceholder = document.getElementById('header-placeholder');
     
     if (headerPlaceholder) {
-      headerPlaceholder.innerHTML = sanitizeHtml(headerHtml);
+      setTrustedHtml(headerPlaceholder, headerHtml, HEADER_SANITIZER_CONFIG);
+      
+      // Label the theme toggle for the active theme
+      if (window.syncThemeToggles) {
+        window.syncThemeToggles();
+      }
     }
     
     console.log('[Security] Header loaded and sanitized');
@@ -67,15 +337,15 @@ async function loadHeader() {
     // Fallback header
     const headerPlaceholder = document.getElementById('header-placeholder');
     if (headerPlaceholder) {
-      headerPlaceholder.innerHTML = `
-        <nav class="navbar navbar-expand-lg navbar-dark bg-dark fixed-top">
+      setTrustedHtml(headerPlaceholder, `
+        <nav class="navbar navbar-expand-lg bg-body-tertiary fixed-top">
           <div class="container">
             <a class="navbar-brand" href="index.html">
               <i class="bi bi-shield-check"></i> Ifreelance4u
             </a>
           </div>
         </nav>
-      `;
+      `, HEADER_SANITIZER_CONFIG);
     }
   }
 }
@@ -94,7 +364,7 @@ async function loadFooter() {
     const footerPlaceholder = document.getElementById('footer-placeholder');
     
     if (footerPlaceholder) {
-      footerPlaceholder.innerHTML = sanitizeHtml(footerHtml);
+      setTrustedHtml(footerPlaceholder, footerHtml, FOOTER_SANITIZER_CONFIG);
     }
     
     console.log('[Security] Footer loaded and sanitized');
@@ -103,76 +373,110 @@ async function loadFooter() {
     // Fallback footer
     const footerPlaceholder = document.getElementById('footer-placeholder');
     if (footerPlaceholder) {
-      footerPlaceholder.innerHTML = `
+      setTrustedHtml(footerPlaceholder, `
         <footer class="bg-dark text-white py-4 mt-5">
           <div class="container">
             <p class="text-center mb-0">© 2026 Ifreelance4u. All rights reserved.</p>
           </div>
         </footer>
-      `;
+      `, FOOTER_SANITIZER_CONFIG);
+    }
+  }
+}
+
+/**
+ * Fetch the content file for a locale, falling back to the default locale
+ */
+async function fetchContentFile(locale) {
+  const response = await fetch(`data/content.${locale}.json`);
+  
+  if (!response.ok) {
+    if (locale !== window.DEFAULT_LOCALE) {
+      console.warn(`[Security] No content for locale "${locale}", using ${window.DEFAULT_LOCALE}`);
+      return fetchContentFile(window.DEFAULT_LOCALE);
     }
+    throw new Error(`Failed to load content: ${response.status}`);
   }
+  
+  return response.json();
+}
+
+/**
+ * Link to a project's own page. Prerendered builds have a page per project
+ * (project-3.html); otherwise project.html renders the id in its query string.
+ */
+function getProjectPageUrl(id) {
+  const root = document.documentElement;
+  const hasProjectPages = root.hasAttribute('data-prerendered') || root.hasAttribute('data-prerendering');
+  return hasProjectPages ? `project-${id}.html` : `project.html?id=${encodeURIComponent(id)}`;
 }
 
 /**
- * Load and validate content.json
+ * Add values templates bind to but content only holds indirectly:
+ * portfolio[].categoryLabel is the label of the item's category in
+ * portfolioFilters.categories, or the category id when it is not listed;
+ * portfolio[].pageUrl links to the project's page
+ */
+function addDerivedContent(content) {
+  if (!Array.isArray(content.portfolio)) return content;
+  
+  const filters = content.portfolioFilters || {};
+  const labels = new Map((Array.isArray(filters.categories) ? filters.categories : [])
+    .map(category => [category.id, category.label]));
+  
+  return {
+    ...content,
+    portfolio: content.portfolio.map(item => ({
+      ...item,
+      categoryLabel: labels.get(item.category) || item.category,
+      pageUrl: getProjectPageUrl(item.id)
+    }))
+  };
+}
+
+/**
+ * Load and validate content for the active locale.
+ * Resolves with the content without publishing it, see reloadContent()
  */
 async function loadContent() {
   try {
-    const response = await fetch('data/content.json');
-    if (!response.ok) {
-      throw new Error(`Failed to load content: ${response.status}`);
-    }
-    
-    const content = await response.json();
+    const rawContent = await fetchContentFile(window.getLocale());
     
-    // Validate JSON structure
-    if (!content || typeof content !== 'object') {
-      throw new Error('Invalid content structure');
-    }
+    // Validate every section against the declared schema; invalid sections
+    // are defaulted or dropped one at a time
+    const { content, errors, defaulted, dropped } = window.validateContent(rawContent);
     
-    if (!content.site || !content.navigation) {
-      throw new Error('Missing required content fields');
+    if (errors.length > 0) {
+      console.warn(`[Security] Content validation found ${errors.length} problem(s):`);
+      errors.forEach(error => console.warn(`  ${window.formatValidationError(error)}`));
+      reportSecurityEvent('Content validation failed', { defaulted, dropped });
     }
     
-    siteContent = content;
     console.log('[Security] Content loaded and validated');
-    
-    // Populate navigation
-    populateNavigation();
-    
-    // Populate footer
-    populateFooter();
-    
-    // Update meta tags
-    updateMetaTags();
-    
-    // Dispatch custom event to notify other scripts
-    document.dispatchEvent(new CustomEvent('contentLoaded', { detail: content }));
-    
-    return content;
+    return addDerivedContent(content);
   } catch (error) {
     console.error('[Security] Error loading content:', error);
     
-    // Fallback content
-    siteContent = {
-      site: {
-        title: 'Ifreelance4u',
-        email: 'info.ifreelance4u@gmail.com'
-      },
-      navigation: [],
-      social: {},
-      footer: {
-        copyright: '© 2026 Ifreelance4u. All rights reserved.',
-        links: []
-      }
-    };
-    
-    document.dispatchEvent(new CustomEvent('contentLoaded', { detail: siteContent }));
-    return siteContent;
+    // A failed reload keeps the content already on the page;
+    // a failed first load falls back to the schema defaults
+    return siteContent || window.getDefaultContent();
   }
 }
 
+/**
+ * Populate the parts of the page shared by every page
+ */
+function populateSiteChrome() {
+  // Populate navigation
+  populateNavigation();
+  
+  // Populate footer
+  populateFooter();
+  
+  // Update meta tags
+  updateMetaTags();
+}
+
 /**
  * Populate navigation menu
  */
@@ -184,7 +488,7 @@ function populateNavigation() {
   
   const currentPage = window.location.pathname.split('/').pop() || 'index.html';
   
-  navMenu.innerHTML = '';
+  navMenu.replaceChildren();
   
   siteContent.navigation.forEach(item => {
     const li = document.createElement('li');
@@ -206,9 +510,49 @@ function populateNavigation() {
     navMenu.appendChild(li);
   });
   
+  navMenu.appendChild(createLanguageSwitcher());
+  
   console.log('[Security] Navigation populated with sanitized content');
 }
 
+/**
+ * Build the language switcher nav item with a link for every other locale
+ */
+function createLanguageSwitcher() {
+  const currentLocale = window.getLocale();
+  
+  const li = document.createElement('li');
+  li.className = 'nav-item language-switcher';
+  li.setAttribute('role', 'group');
+  li.setAttribute('aria-label', window.translate('nav.language'));
+  
+  Object.keys(window.SUPPORTED_LOCALES)
+    .filter(locale => locale !== currentLocale)
+    .forEach(locale => {
+      const a = document.createElement('a');
+      a.className = 'nav-link';
+      a.href = `?lang=${encodeURIComponent(locale)}`;
+      a.setAttribute('hreflang', locale);
+      a.setAttribute('lang', locale);
+      
+      const i = document.createElement('i');
+      i.className = 'bi bi-translate me-1';
+      i.setAttribute('aria-hidden', 'true');
+      
+      a.appendChild(i);
+      a.appendChild(document.createTextNode(window.SUPPORTED_LOCALES[locale].name));
+      
+      a.addEventListener('click', (event) => {
+        event.preventDefault();
+        window.setLocale(locale);
+      });
+      
+      li.appendChild(a);
+    });
+  
+  return li;
+}
+
 /**
  * Populate footer content
  */
@@ -224,7 +568,7 @@ function populateFooter() {
   // Update footer links
   const footerLinks = document.getElementById('footer-links');
   if (footerLinks && siteContent.footer.links) {
-    footerLinks.innerHTML = '';
+    footerLinks.replaceChildren();
     
     siteContent.footer.links.forEach(link => {
       const li = document.createElement('li');
@@ -242,7 +586,7 @@ function populateFooter() {
   // Update social links
   const footerSocial = document.getElementById('footer-social');
   if (footerSocial && siteContent.social) {
-    footerSocial.innerHTML = '';
+    footerSocial.replaceChildren();
     
     const socialDiv = document.createElement('div');
     socialDiv.className = 'social-links justify-content-center';
@@ -313,10 +657,316 @@ function updateMetaTags() {
 }
 
 /**
- * Get site content
+ * Resolve a dotted path such as "home.hero.title" or "services.0.title".
+ * "." resolves to the source itself.
+ */
+function resolvePath(source, path) {
+  if (path === '.') return source;
+  
+  return path.split('.').reduce((value, key) => (
+    value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(Object(value), key)
+      ? value[key]
+      : undefined
+  ), source);
+}
+
+/**
+ * Add the rule that gives elements with this data-placeholder-color their
+ * --image-placeholder. Where constructed stylesheets are unavailable (and in
+ * prerendered pages without scripts) style.css reads the attribute with
+ * typed attr(), or the frame keeps its default color.
+ */
+function addPlaceholderColorRule(color) {
+  if (placeholderColors.has(color)) return;
+  
+  if (!placeholderColorSheet) {
+    if (typeof CSSStyleSheet === 'undefined' || !('adoptedStyleSheets' in document)) return;
+    
+    try {
+      placeholderColorSheet = new CSSStyleSheet();
+    } catch (error) {
+      return;
+    }
+    document.adoptedStyleSheets = [...document.adoptedStyleSheets, placeholderColorSheet];
+  }
+  
+  placeholderColors.add(color);
+  placeholderColorSheet.insertRule(
+    `[data-placeholder-color="${color}"] { --image-placeholder: ${color}; }`,
+    placeholderColorSheet.cssRules.length
+  );
+}
+
+/**
+ * Add the color rules for placeholders already in the markup, e.g. on
+ * prerendered pages
+ */
+function applyPlaceholderColors(root) {
+  root.querySelectorAll('[data-placeholder-color]').forEach(element => {
+    const color = element.getAttribute('data-placeholder-color');
+    if (PLACEHOLDER_COLOR_PATTERN.test(color)) {
+      addPlaceholderColorRule(color);
+    }
+  });
+}
+
+/**
+ * Sources of an image named in content: the file itself and, when
+ * images.widths is set, a srcset of its variants
+ *
+ * @param {string} name - File name such as "project-1.jpg"
+ * @returns {{ src: string, srcset: string }|null} null for anything but a plain file name
+ */
+function getImageSources(name) {
+  const match = CONTENT_IMAGE_PATTERN.exec(String(name));
+  if (!match) return null;
+  
+  const config = siteContent && siteContent.images;
+  const widths = config && Array.isArray(config.widths)
+    ? config.widths.filter(width => Number.isInteger(width) && width > 0)
+    : [];
+  
+  return {
+    src: `${CONTENT_IMAGE_PATH}${match[0]}`,
+    srcset: widths.map(width => `${CONTENT_IMAGE_PATH}${match[1]}-${width}w.${match[2]} ${width}w`).join(', ')
+  };
+}
+
+/**
+ * Apply one element's bindings:
+ *   data-bind="path"         - sets textContent (the safe default)
+ *   data-bind-icon="path"    - sets the Bootstrap Icons class (bi-<value>)
+ *   data-bind-image="path"   - sets src and srcset from an image file name
+ *   data-bind-placeholder="path" - sets the color shown while an image loads
+ *                              (as data-placeholder-color, see addPlaceholderColorRule)
+ *   data-bind-<attr>="path"  - sets an attribute, e.g. data-bind-href
+ * Attributes go through the sanitizer allowlist and URL scheme check.
+ * Missing or non-scalar values leave the element's fallback markup alone.
+ */
+function bindElement(element, scope) {
+  const tagName = element.tagName.toLowerCase();
+  
+  Array.from(element.attributes).forEach(attr => {
+    if (attr.name !== 'data-bind' && !attr.name.startsWith('data-bind-')) return;
+    
+    const value = resolvePath(scope, attr.value.trim());
+    if (typeof value !== 'string' && typeof value !== 'number') return;
+    
+    if (attr.name === 'data-bind') {
+      element.textContent = String(value);
+      return;
+    }
+    
+    if (attr.name === 'data-bind-icon') {
+      if (!/^[a-z0-9-]+$/.test(String(value))) {
+        reportSecurityEvent('Binding blocked', { attribute: 'icon', tag: tagName });
+        return;
+      }
+      // Replace the fallback icon, keep the other classes
+      Array.from(element.classList)
+        .filter(className => className.startsWith('bi-'))
+        .forEach(className => element.classList.remove(className));
+      element.classList.add(`bi-${value}`);
+      return;
+    }
+    
+    if (attr.name === 'data-bind-image') {
+      const sources = getImageSources(value);
+      if (!sources) {
+        reportSecurityEvent('Binding blocked', { attribute: 'image', tag: tagName });
+        return;
+      }
+      element.setAttribute('src', sources.src);
+      if (sources.srcset) {
+        element.setAttribute('srcset', sources.srcset);
+      } else {
+        element.removeAttribute('srcset');
+      }
+      return;
+    }
+    
+    if (attr.name === 'data-bind-placeholder') {
+      if (!PLACEHOLDER_COLOR_PATTERN.test(String(value))) {
+        reportSecurityEvent('Binding blocked', { attribute: 'placeholder', tag: tagName });
+        return;
+      }
+      element.setAttribute('data-placeholder-color', String(value));
+      addPlaceholderColorRule(String(value));
+      return;
+    }
+    
+    const target = attr.name.slice('data-bind-'.length);
+    
+    if (target.startsWith('on') || target.startsWith('data-bind') ||
+        !isAllowedAttribute(tagName, target, DEFAULT_SANITIZER_CONFIG.allowedAttributes)) {
+      reportSecurityEvent('Binding blocked', { attribute: target, tag: tagName });
+      return;
+    }
+    
+    if (DEFAULT_SANITIZER_CONFIG.urlAttributes.includes(target) && !isSafeUrl(String(value))) {
+      reportSecurityEvent('Binding blocked', { attribute: target, tag: tagName, reason: 'URL scheme' });
+      return;
+    }
+    
+    element.setAttribute(target, String(value));
+  });
+}
+
+/**
+ * Render a data-each list: clone the container's <template> once per item
+ * and bind the clone with the item as its scope. Previously rendered items
+ * (or fallback markup) are replaced; the template itself stays in place.
+ *
+ *   <ul data-each="services">
+ *     <template><li data-bind="title"></li></template>
+ *   </ul>
+ */
+function renderEach(container, scope) {
+  const items = resolvePath(scope, container.getAttribute('data-each').trim());
+  const template = Array.from(container.children).find(child => child.tagName === 'TEMPLATE');
+  
+  if (!template || !Array.isArray(items)) return;
+  
+  Array.from(container.childNodes).forEach(node => {
+    if (node !== template) node.remove();
+  });
+  
+  items.forEach(item => {
+    const fragment = template.content.cloneNode(true);
+    applyBindings(fragment, item);
+    container.appendChild(fragment);
+  });
+}
+
+/**
+ * Fill every data-bind / data-bind-* / data-each element under root.
+ * Paths are resolved against scope; inside a data-each template they are
+ * resolved against the current item ("." is the item itself).
+ */
+function applyBindings(root, scope) {
+  if (!root || scope === null || scope === undefined) return;
+  
+  if (root.nodeType === Node.ELEMENT_NODE) {
+    bindElement(root, scope);
+    
+    if (root.hasAttribute('data-each')) {
+      renderEach(root, scope);
+      return;
+    }
+  }
+  
+  Array.from(root.children).forEach(child => applyBindings(child, scope));
+}
+
+/**
+ * Check whether the page was rendered at build time by tools/prerender.js
+ * in the active locale. Pages prerendered in another locale are rendered again.
+ */
+function isPrerendered() {
+  return document.documentElement.getAttribute('data-prerendered') === window.getLocale();
+}
+
+/**
+ * Check whether tools/prerender.js is rendering the page right now. Modules
+ * then run their render step and leave out their behavior.
+ */
+function isPrerendering() {
+  return document.documentElement.hasAttribute('data-prerendering');
+}
+
+/**
+ * Content Store
+ * Holds the published content and notifies subscribers on every load and reload.
+ * Subscribers registered after content was published get the current value
+ * replayed immediately, so modules do not depend on script or event timing.
+ */
+const contentSubscribers = new Set();
+
+/**
+ * Select part of the content: a dotted path, a function, or null for everything
+ */
+function selectContent(content, selector) {
+  if (typeof selector === 'function') return selector(content);
+  if (typeof selector === 'string') return resolvePath(content, selector);
+  return content;
+}
+
+/**
+ * Call one subscriber; a failing subscriber never blocks the others
+ */
+function notifySubscriber(subscriber, content) {
+  try {
+    subscriber.callback(selectContent(content, subscriber.selector), content);
+  } catch (error) {
+    console.error('[Security] Content subscriber failed:', error);
+  }
+}
+
+/**
+ * Subscribe to content.
+ *
+ * @param {string|Function|null} selector - Path such as "home.stats", a function of the content, or null
+ * @param {Function} callback - Called with (selected value, full content)
+ * @returns {Function} Unsubscribe function
+ *
+ * @example
+ * contentStore.subscribe('social', social => populateSocialLinks(social));
+ */
+function subscribe(selector, callback) {
+  const subscriber = { selector, callback };
+  contentSubscribers.add(subscriber);
+  
+  if (siteContent !== null) {
+    notifySubscriber(subscriber, siteContent);
+  }
+  
+  return () => contentSubscribers.delete(subscriber);
+}
+
+/**
+ * Render published content into the page (skipped on prerendered pages)
+ */
+function renderContent(content) {
+  if (isPrerendered()) return;
+  
+  populateSiteChrome();
+  applyBindings(document.body, content);
+  
+  // Observe list items that were just rendered from templates
+  if (window.initScrollAnimations) {
+    window.initScrollAnimations();
+  }
+}
+
+/**
+ * Publish content: render the page, then notify subscribers.
+ * Subscribers therefore always see the rendered markup.
  */
-function getContent() {
-  return siteContent;
+function publishContent(content) {
+  siteContent = content;
+  renderContent(content);
+  
+  contentSubscribers.forEach(subscriber => notifySubscriber(subscriber, content));
+  
+  // Kept for scripts that still listen for the event
+  document.dispatchEvent(new CustomEvent('contentLoaded', { detail: content }));
+}
+
+/**
+ * Fetch the content again and notify every subscriber
+ */
+async function reloadContent() {
+  const content = await loadContent();
+  publishContent(content);
+  return content;
+}
+
+/**
+ * Get site content, or a single section by path (e.g. "home.stats")
+ */
+function getContent(path) {
+  if (siteContent === null || path === undefined) return siteContent;
+  return resolvePath(siteContent, path);
 }
 
 /**
@@ -326,27 +976,56 @@ async function initComponents() {
   console.log('[Security] Initializing components...');
   
   try {
+    // Prerendered pages already contain header and footer markup;
+    // content is still loaded so other modules can read it
+    if (isPrerendered()) {
+      console.log('[Security] Prerendered page detected, skipping render');
+      applyPlaceholderColors(document.body);
+      publishContent(await loadContent());
+      return;
+    }
+    
     // Load components in parallel
-    await Promise.all([
+    const [, , content] = await Promise.all([
       loadHeader(),
       loadFooter(),
       loadContent()
     ]);
     
+    // Header and footer must both be in place before content is rendered
+    publishContent(content);
+    
     console.log('[Security] All components initialized');
   } catch (error) {
     console.error('[Security] Error initializing components:', error);
   }
 }
 
+initTrustedTypesReporting();
+
 // Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initComponents);
-} else {
-  initComponents();
-}
+const componentsReady = new Promise(resolve => {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => resolve(initComponents()));
+  } else {
+    resolve(initComponents());
+  }
+});
 
 // Export functions for use in other modules
 window.escapeHtml = escapeHtml;
 window.sanitizeHtml = sanitizeHtml;
+window.setTrustedHtml = setTrustedHtml;
+window.createTrustedScriptURL = createTrustedScriptURL;
+window.isSafeUrl = isSafeUrl;
 window.getContent = getContent;
+window.contentStore = {
+  subscribe,
+  getContent,
+  reload: reloadContent
+};
+window.applyBindings = applyBindings;
+window.getImageSources = getImageSources;
+window.isPrerendered = isPrerendered;
+window.isPrerendering = isPrerendering;
+window.componentsReady = componentsReady;
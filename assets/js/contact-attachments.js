@@ -0,0 +1,342 @@
+/**
+ * Contact Attachments Module
+ * Lets visitors attach files (an RFP, a scope document) to the contact form
+ * by choosing or dropping them. Configured by contactForm.attachments in content.json:
+ *   enabled      - show the attachments field
+ *   maxFiles     - most files per message
+ *   maxTotalSize - most bytes for all files together
+ *   accept       - allowed extensions, from those listed in ATTACHMENT_SIGNATURES
+ *
+ * Security: a file is only accepted when its extension is allowed and its
+ * first bytes match that type (magic-byte sniffing, see file-signatures.js),
+ * so an executable renamed to .pdf is rejected. The same checks run again
+ * when the form is submitted, and on the server.
+ */
+
+// Bytes read from the start of each file
+const ATTACHMENT_SNIFF_LENGTH = 4096;
+
+const DEFAULT_ATTACHMENT_CONFIG = {
+  enabled: false,
+  maxFiles: 3,
+  maxTotalSize: 10 * 1024 * 1024,
+  accept: ['pdf', 'docx', 'doc', 'txt', 'png', 'jpg', 'jpeg']
+};
+
+let attachmentConfig = DEFAULT_ATTACHMENT_CONFIG;
+let attachmentFiles = [];
+let attachmentElements = null;
+
+/**
+ * Lower-case extension of a file name
+ */
+function getFileExtension(name) {
+  const match = /\.([^.]+)$/.exec(name);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Allowed extensions: the configured ones this module knows how to check
+ */
+function getAllowedExtensions() {
+  return attachmentConfig.accept
+    .map(extension => String(extension).toLowerCase())
+    .filter(extension => Object.prototype.hasOwnProperty.call(window.ATTACHMENT_SIGNATURES, extension));
+}
+
+/**
+ * Format a byte count for the visitor's locale
+ */
+function formatFileSize(bytes) {
+  const [unit, divisor] = bytes >= 1024 * 1024 ? ['megabyte', 1024 * 1024]
+    : bytes >= 1024 ? ['kilobyte', 1024]
+    : ['byte', 1];
+
+  return new Intl.NumberFormat(window.getLocale(), {
+    style: 'unit',
+    unit,
+    maximumFractionDigits: 1
+  }).format(bytes / divisor);
+}
+
+/**
+ * Check one file's extension and content.
+ *
+ * @param {File} file
+ * @returns {Promise<string|null>} Error message, or null if the file is acceptable
+ */
+async function checkAttachment(file) {
+  const extension = getFileExtension(file.name);
+
+  if (!getAllowedExtensions().includes(extension)) {
+    return window.translate('attachments.type', { name: file.name });
+  }
+
+  const bytes = new Uint8Array(await file.slice(0, ATTACHMENT_SNIFF_LENGTH).arrayBuffer());
+  const result = window.checkFileSignature(extension, bytes);
+
+  if (result !== 'ok') {
+    console.warn('[Security] Attachment rejected, content does not match its extension:', file.name);
+    if (window.logSecurityEvent) {
+      window.logSecurityEvent('Attachment rejected', `${file.name} (${result})`);
+    }
+    return window.translate('attachments.content', { name: file.name });
+  }
+
+  return null;
+}
+
+/**
+ * Total size of a list of files
+ */
+function getTotalSize(files) {
+  return files.reduce((total, file) => total + file.size, 0);
+}
+
+/**
+ * Show the attachments field as valid, or invalid with messages
+ */
+function setAttachmentErrors(errors) {
+  const { dropzone, input, feedback } = attachmentElements;
+
+  dropzone.classList.toggle('is-invalid', errors.length > 0);
+  if (errors.length > 0) {
+    input.setAttribute('aria-invalid', 'true');
+  } else {
+    input.removeAttribute('aria-invalid');
+  }
+  feedback.replaceChildren(...errors.map(message => {
+    const line = document.createElement('div');
+    line.textContent = message;
+    return line;
+  }));
+}
+
+/**
+ * Render a chip with a remove button for every attached file
+ */
+function renderAttachmentChips() {
+  const { list } = attachmentElements;
+
+  list.replaceChildren(...attachmentFiles.map((file, index) => {
+    const chip = document.createElement('li');
+    chip.className = 'attachment-chip';
+
+    const icon = document.createElement('i');
+    icon.className = 'bi bi-file-earmark me-1';
+    icon.setAttribute('aria-hidden', 'true');
+
+    const name = document.createElement('span');
+    name.className = 'attachment-name';
+    name.textContent = file.name;
+
+    const size = document.createElement('span');
+    size.className = 'text-muted ms-1';
+    size.textContent = formatFileSize(file.size);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn-close ms-2';
+    remove.setAttribute('aria-label', window.translate('attachments.remove', { name: file.name }));
+    remove.addEventListener('click', () => {
+      attachmentFiles.splice(index, 1);
+      renderAttachmentChips();
+      setAttachmentErrors([]);
+      attachmentElements.input.focus();
+    });
+
+    chip.append(icon, name, size, remove);
+    return chip;
+  }));
+}
+
+/**
+ * Check and add chosen or dropped files; rejected files are listed as errors
+ */
+async function addAttachments(fileList) {
+  const errors = [];
+  const isAttached = file => attachmentFiles.some(attached => (
+    attached.name === file.name && attached.size === file.size && attached.lastModified === file.lastModified
+  ));
+
+  for (const file of Array.from(fileList)) {
+    if (isAttached(file)) continue;
+
+    if (attachmentFiles.length >= attachmentConfig.maxFiles) {
+      errors.push(window.translate('attachments.tooMany', { count: attachmentConfig.maxFiles }));
+      break;
+    }
+
+    if (getTotalSize(attachmentFiles) + file.size > attachmentConfig.maxTotalSize) {
+      errors.push(window.translate('attachments.tooLarge', { size: formatFileSize(attachmentConfig.maxTotalSize) }));
+      continue;
+    }
+
+    const error = await checkAttachment(file);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+
+    attachmentFiles.push(file);
+  }
+
+  renderAttachmentChips();
+  setAttachmentErrors(errors);
+}
+
+/**
+ * Check the attached files again before they are sent
+ *
+ * @returns {Promise<boolean>} Whether the attachments may be sent
+ */
+async function validateAttachments() {
+  if (!attachmentElements) return true;
+
+  const errors = [];
+
+  if (attachmentFiles.length > attachmentConfig.maxFiles) {
+    errors.push(window.translate('attachments.tooMany', { count: attachmentConfig.maxFiles }));
+  }
+  if (getTotalSize(attachmentFiles) > attachmentConfig.maxTotalSize) {
+    errors.push(window.translate('attachments.tooLarge', { size: formatFileSize(attachmentConfig.maxTotalSize) }));
+  }
+
+  for (const file of attachmentFiles) {
+    const error = await checkAttachment(file);
+    if (error) errors.push(error);
+  }
+
+  setAttachmentErrors(errors);
+  return errors.length === 0;
+}
+
+/**
+ * Build the attachments field
+ */
+function createAttachmentField() {
+  const extensions = getAllowedExtensions();
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'mb-3';
+
+  const label = document.createElement('label');
+  label.className = 'form-label';
+  label.htmlFor = 'attachments';
+  label.textContent = window.translate('attachments.label');
+
+  const dropzone = document.createElement('div');
+  dropzone.className = 'attachment-dropzone';
+
+  // No name: files are sent by the transport, not with the other fields
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.id = 'attachments';
+  input.className = 'form-control';
+  input.multiple = true;
+  input.accept = extensions.map(extension => `.${extension}`).join(',');
+  input.setAttribute('aria-describedby', 'attachments-feedback attachments-hint');
+
+  const hint = document.createElement('small');
+  hint.id = 'attachments-hint';
+  hint.className = 'form-text text-muted d-block mt-2';
+  hint.textContent = window.translate('attachments.hint', {
+    count: attachmentConfig.maxFiles,
+    size: formatFileSize(attachmentConfig.maxTotalSize),
+    types: extensions.join(', ').toUpperCase()
+  });
+
+  dropzone.append(input, hint);
+
+  const list = document.createElement('ul');
+  list.className = 'attachment-list';
+
+  const feedback = document.createElement('div');
+  feedback.className = 'invalid-feedback';
+  feedback.id = 'attachments-feedback';
+  feedback.setAttribute('aria-live', 'polite');
+
+  wrapper.append(label, dropzone, list, feedback);
+
+  input.addEventListener('change', async () => {
+    await addAttachments(input.files);
+    input.value = '';
+  });
+
+  dropzone.addEventListener('dragover', event => {
+    event.preventDefault();
+    dropzone.classList.add('is-dragover');
+  });
+  dropzone.addEventListener('dragleave', () => dropzone.classList.remove('is-dragover'));
+  dropzone.addEventListener('drop', event => {
+    event.preventDefault();
+    dropzone.classList.remove('is-dragover');
+    if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+      addAttachments(event.dataTransfer.files);
+    }
+  });
+
+  return { wrapper, dropzone, input, list, feedback };
+}
+
+/**
+ * Show (or remove) the attachments field in a container, keeping attached
+ * files that are still allowed
+ *
+ * @param {HTMLElement} container - Where the field goes
+ * @param {Object} [config] - contactForm.attachments from content.json
+ * @returns {boolean} Whether attachments are enabled
+ */
+function initAttachments(container, config = {}) {
+  attachmentConfig = { ...DEFAULT_ATTACHMENT_CONFIG, ...config };
+
+  if (attachmentElements) {
+    attachmentElements.wrapper.remove();
+    attachmentElements = null;
+  }
+
+  if (!container || !attachmentConfig.enabled) {
+    attachmentFiles = [];
+    return false;
+  }
+
+  attachmentElements = createAttachmentField();
+  container.appendChild(attachmentElements.wrapper);
+
+  const allowed = getAllowedExtensions();
+  attachmentFiles = attachmentFiles
+    .filter(file => allowed.includes(getFileExtension(file.name)))
+    .slice(0, attachmentConfig.maxFiles);
+  renderAttachmentChips();
+
+  return true;
+}
+
+/**
+ * Remove every attached file
+ */
+function clearAttachments() {
+  attachmentFiles = [];
+  if (attachmentElements) {
+    renderAttachmentChips();
+    setAttachmentErrors([]);
+  }
+}
+
+/**
+ * Attach files again, e.g. a queued message that was rejected
+ */
+function restoreAttachments(files) {
+  if (!attachmentElements || !Array.isArray(files)) return Promise.resolve();
+  return addAttachments(files);
+}
+
+// Export for use in other modules
+window.contactAttachments = {
+  init: initAttachments,
+  isActive: () => attachmentElements !== null,
+  getFiles: () => attachmentFiles.slice(),
+  validate: validateAttachments,
+  clear: clearAttachments,
+  restore: restoreAttachments
+};
@@ -0,0 +1,273 @@
+/**
+ * Contact Bot Defense Module
+ * Bot checks for the contact form that need no third-party CAPTCHA, next to
+ * the honeypot in contact-form.js. Configured by contactForm.botDefense in content.json:
+ *   proofOfWork   - solve a hashcash-style SHA-256 challenge (pow-worker.js)
+ *                   in a Web Worker while the visitor types
+ *   difficulty    - leading zero bits the proof's hash must have
+ *   minSubmitTime - milliseconds the form must be open before it is sent
+ *
+ * Interaction signals (keyboard, pointer, touch and trusted input events)
+ * are counted too. Every signal that trips is reported to logSecurityEvent and
+ * sent with the proof, so a backend can verify the proof and weigh the signals.
+ */
+
+const POW_WORKER_URL = 'assets/js/pow-worker.js';
+
+// Longest a submission waits for an unfinished proof
+const POW_TIMEOUT = 15000;
+
+const DEFAULT_BOT_DEFENSE_CONFIG = {
+  proofOfWork: true,
+  difficulty: 16,
+  minSubmitTime: 3000
+};
+
+let botDefenseConfig = DEFAULT_BOT_DEFENSE_CONFIG;
+let botDefenseStartedAt = 0;
+let botDefenseProof = null;
+let botDefenseWorker = null;
+let botDefenseSignals = { interactions: 0, trustedInputs: 0, untrustedInputs: 0 };
+
+/**
+ * Report a tripped signal
+ */
+function reportBotSignal(signal, details) {
+  console.warn(`[Security] Bot signal: ${signal}`, details);
+  if (window.logSecurityEvent) {
+    window.logSecurityEvent(`Bot signal: ${signal}`, details);
+  }
+}
+
+/**
+ * Random hex string for a challenge
+ */
+function generateChallengeSalt() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Start solving a new challenge in the worker. Resolves with the proof, or
+ * with null when workers or crypto.subtle are not available.
+ *
+ * @param {boolean} [track] - Keep the worker so reset() can stop it; off for
+ *   proofs solved for the outbox, which must not be stopped by the form
+ */
+function startProofOfWork(track = true) {
+  const difficulty = botDefenseConfig.difficulty;
+  // Hashcash-style: version, bits, issue time, resource, random salt
+  const challenge = ['1', difficulty, Date.now(), window.location.host, generateChallengeSalt()].join(':');
+  const startedAt = performance.now();
+
+  return new Promise(resolve => {
+    if (typeof Worker === 'undefined' || !window.crypto || !window.crypto.subtle) {
+      reportBotSignal('proof-unavailable', 'Web Workers or crypto.subtle are not available');
+      resolve(null);
+      return;
+    }
+
+    let worker;
+    try {
+      worker = new Worker(window.createTrustedScriptURL(POW_WORKER_URL));
+    } catch (error) {
+      reportBotSignal('proof-unavailable', error.message);
+      resolve(null);
+      return;
+    }
+
+    if (track) {
+      botDefenseWorker = worker;
+    }
+
+    const finish = proof => {
+      worker.terminate();
+      if (botDefenseWorker === worker) {
+        botDefenseWorker = null;
+      }
+      resolve(proof);
+    };
+
+    worker.addEventListener('message', (event) => {
+      const { nonce, hash, error } = event.data || {};
+
+      if (error) {
+        reportBotSignal('proof-failed', error);
+        finish(null);
+        return;
+      }
+
+      console.log(`[Security] Proof of work solved in ${Math.round(performance.now() - startedAt)}ms`);
+      finish({ algorithm: 'SHA-256', challenge, difficulty, nonce, hash });
+    });
+    worker.addEventListener('error', (event) => {
+      reportBotSignal('proof-failed', event.message || 'Worker error');
+      finish(null);
+    });
+
+    worker.postMessage({ challenge, difficulty });
+  });
+}
+
+/**
+ * Start the proof of work on the first interaction with the form
+ */
+function ensureProofStarted() {
+  if (botDefenseConfig.proofOfWork && !botDefenseProof) {
+    botDefenseProof = startProofOfWork();
+  }
+}
+
+/**
+ * Count an interaction (keyboard, pointer or touch)
+ */
+function recordInteraction(event) {
+  if (!event.isTrusted) return;
+
+  botDefenseSignals.interactions++;
+  ensureProofStarted();
+}
+
+/**
+ * Count input events; scripted input is not trusted by the browser
+ */
+function recordInput(event) {
+  if (event.isTrusted) {
+    botDefenseSignals.trustedInputs++;
+    ensureProofStarted();
+  } else {
+    botDefenseSignals.untrustedInputs++;
+  }
+}
+
+/**
+ * Check timing and interaction before a submission. Tripped signals are
+ * reported; too fast or no interaction at all blocks the submission.
+ *
+ * @returns {{ allowed: boolean, message?: string, signals: string[] }}
+ */
+function checkBotSignals() {
+  const elapsed = Math.round(performance.now() - botDefenseStartedAt);
+  const signals = [];
+
+  if (elapsed < botDefenseConfig.minSubmitTime) {
+    signals.push('too-fast');
+    reportBotSignal('too-fast', `Submitted ${elapsed}ms after the form opened`);
+  }
+
+  if (botDefenseSignals.interactions === 0) {
+    signals.push('no-interaction');
+    reportBotSignal('no-interaction', 'No keyboard, pointer or touch events before submitting');
+  }
+
+  if (botDefenseSignals.trustedInputs === 0) {
+    signals.push('no-trusted-input');
+    reportBotSignal('no-trusted-input', `${botDefenseSignals.untrustedInputs} scripted input events`);
+  }
+
+  if (signals.includes('too-fast')) {
+    return { allowed: false, message: 'form.tooFast', signals };
+  }
+  if (signals.includes('no-interaction')) {
+    return { allowed: false, message: 'form.invalidSubmission', signals };
+  }
+  return { allowed: true, signals };
+}
+
+/**
+ * Wait for a proof being solved, or resolve with null after POW_TIMEOUT
+ */
+async function waitForProof(proof) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      reportBotSignal('proof-timeout', `No proof after ${POW_TIMEOUT}ms`);
+      resolve(null);
+    }, POW_TIMEOUT);
+  });
+  const pow = await Promise.race([proof, timeout]);
+  clearTimeout(timer);
+  return pow;
+}
+
+/**
+ * Wait for the proof and add the timing and signals a backend needs.
+ * Resolves with null fields when no proof could be made.
+ *
+ * @param {string[]} signals - From checkBotSignals()
+ */
+async function getBotProof(signals = []) {
+  ensureProofStarted();
+
+  const pow = botDefenseProof ? await waitForProof(botDefenseProof) : null;
+
+  return {
+    ...(pow || { algorithm: null, challenge: null, difficulty: null, nonce: null, hash: null }),
+    elapsed: Math.round(performance.now() - botDefenseStartedAt),
+    interactions: botDefenseSignals.interactions,
+    signals
+  };
+}
+
+/**
+ * Solve a fresh challenge for a queued submission before it is sent. The
+ * server only accepts proofs issued in the last two hours, and a message can
+ * wait in the outbox longer than that. Timing and signals are kept from the
+ * original proof; a submission sent without a proof is left as it is.
+ *
+ * @param {Object|null} proof - The proof the submission was queued with
+ */
+async function renewBotProof(proof) {
+  if (!proof || !proof.challenge) return proof;
+
+  const pow = await waitForProof(startProofOfWork(false));
+  return pow ? { ...proof, ...pow } : proof;
+}
+
+/**
+ * Start over after a submission: new challenge, timer and counters
+ */
+function resetBotDefense() {
+  if (botDefenseWorker) {
+    botDefenseWorker.terminate();
+    botDefenseWorker = null;
+  }
+
+  botDefenseProof = null;
+  botDefenseStartedAt = performance.now();
+  botDefenseSignals = { interactions: 0, trustedInputs: 0, untrustedInputs: 0 };
+}
+
+/**
+ * Start watching the form
+ *
+ * @param {HTMLFormElement} form - The contact form
+ * @param {Object} [config] - contactForm.botDefense from content.json
+ */
+function initBotDefense(form, config = {}) {
+  botDefenseConfig = { ...DEFAULT_BOT_DEFENSE_CONFIG, ...config };
+  botDefenseStartedAt = performance.now();
+
+  ['keydown', 'pointerdown', 'touchstart'].forEach(type => {
+    form.addEventListener(type, recordInteraction, { passive: true });
+  });
+  form.addEventListener('input', recordInput);
+}
+
+/**
+ * Apply a new configuration, e.g. after content has loaded
+ */
+function configureBotDefense(config = {}) {
+  botDefenseConfig = { ...DEFAULT_BOT_DEFENSE_CONFIG, ...config };
+}
+
+// Export for use in other modules
+window.contactBotDefense = {
+  init: initBotDefense,
+  configure: configureBotDefense,
+  check: checkBotSignals,
+  getProof: getBotProof,
+  renewProof: renewBotProof,
+  reset: resetBotDefense
+};
@@ -0,0 +1,256 @@
+/**
+ * Contact Draft Module
+ * Autosaves what the visitor types into the contact form and offers to
+ * restore it when they come back. Configured by contactForm.draft in content.json:
+ *   enabled  - false turns autosave off and removes any saved draft
+ *   storage  - "session" (default, sessionStorage, gone when the tab closes)
+ *              or "local" (localStorage, kept across browser restarts)
+ *   debounce - milliseconds after the last edit before the draft is saved
+ *   expiry   - milliseconds after which a saved draft is dropped
+ *
+ * Security: only declared fields and wizard choices are stored; the honeypot
+ * and CSRF token never are. The draft is removed once the message is sent.
+ */
+
+const DRAFT_STORAGE_KEY = 'contact_draft';
+
+const DEFAULT_DRAFT_CONFIG = {
+  enabled: true,
+  storage: 'session',
+  debounce: 1000,
+  expiry: 24 * 60 * 60 * 1000
+};
+
+let draftConfig = DEFAULT_DRAFT_CONFIG;
+let draftHooks = {};
+let draftTimer = null;
+let draftBanner = null;
+
+/**
+ * Get localStorage ("local") or sessionStorage ("session"), or null when the
+ * browser blocks it (reading the property throws a SecurityError in
+ * sandboxed frames and some privacy modes)
+ */
+function getStorageArea(type) {
+  try {
+    return type === 'local' ? window.localStorage : window.sessionStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The storage drafts are kept in, or null when it is blocked
+ */
+function getDraftStorage() {
+  return getStorageArea(draftConfig.storage);
+}
+
+/**
+ * Remove the saved draft from one storage
+ */
+function removeDraftFrom(type) {
+  try {
+    const storage = getStorageArea(type);
+    if (storage) storage.removeItem(DRAFT_STORAGE_KEY);
+  } catch (error) {
+    // Blocked storage holds no draft to remove
+  }
+}
+
+/**
+ * Remove the saved draft from both storages
+ */
+function removeStoredDraft() {
+  ['session', 'local'].forEach(removeDraftFrom);
+}
+
+/**
+ * Read the saved draft, dropping it if it is malformed or has expired
+ */
+function readDraft() {
+  const storage = getDraftStorage();
+  if (!storage) return null;
+
+  let draft = null;
+
+  try {
+    draft = JSON.parse(storage.getItem(DRAFT_STORAGE_KEY));
+  } catch (error) {
+    draft = null;
+  }
+
+  if (!draft || typeof draft.savedAt !== 'number' || !draft.fields || typeof draft.fields !== 'object') {
+    removeStoredDraft();
+    return null;
+  }
+
+  if (Date.now() - draft.savedAt > draftConfig.expiry) {
+    removeStoredDraft();
+    console.log('[Security] Expired contact draft removed');
+    return null;
+  }
+
+  return draft;
+}
+
+/**
+ * Save the form now. Nothing is kept when the form is empty.
+ */
+function saveDraft() {
+  clearTimeout(draftTimer);
+  draftTimer = null;
+
+  const { fields = {}, inquiry = null } = draftHooks.collect ? draftHooks.collect() : {};
+
+  // Declared field names can never be the honeypot or the CSRF token
+  const savedFields = {};
+  Object.entries(fields).forEach(([name, value]) => {
+    if (window.isAllowedFieldName(name) && typeof value === 'string' && value.trim() !== '') {
+      savedFields[name] = value;
+    }
+  });
+
+  const hasChoices = Boolean(inquiry) && Object.values(inquiry).some(value => (
+    Array.isArray(value) ? value.length > 0 : Boolean(value)
+  ));
+
+  if (Object.keys(savedFields).length === 0 && !hasChoices) {
+    removeStoredDraft();
+    return;
+  }
+
+  const storage = getDraftStorage();
+  if (!storage) return;
+
+  try {
+    storage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+      savedAt: Date.now(),
+      fields: savedFields,
+      inquiry: hasChoices ? inquiry : null
+    }));
+  } catch (error) {
+    // Storage full or unavailable: the form keeps working without drafts
+    console.warn('[Security] Contact draft not saved:', error.message);
+  }
+}
+
+/**
+ * Save after the visitor has stopped typing for the debounce time
+ */
+function scheduleDraftSave(event) {
+  if (event && event.target && event.target.type === 'hidden') return;
+
+  // Editing instead of answering the banner starts a new draft
+  hideDraftBanner();
+
+  clearTimeout(draftTimer);
+  draftTimer = setTimeout(saveDraft, draftConfig.debounce);
+}
+
+/**
+ * Save a pending draft straight away (the page is being left)
+ */
+function flushDraft() {
+  if (draftTimer) {
+    saveDraft();
+  }
+}
+
+/**
+ * Cancel any pending save and remove the saved draft
+ */
+function clearDraft() {
+  clearTimeout(draftTimer);
+  draftTimer = null;
+  removeStoredDraft();
+  hideDraftBanner();
+}
+
+/**
+ * Remove the restore banner
+ */
+function hideDraftBanner() {
+  if (draftBanner) {
+    draftBanner.remove();
+    draftBanner = null;
+  }
+}
+
+/**
+ * Offer to restore a saved draft
+ */
+function showDraftBanner(form, draft) {
+  const banner = document.createElement('div');
+  banner.className = 'alert alert-info d-flex flex-wrap align-items-center gap-2';
+  banner.setAttribute('role', 'status');
+
+  const savedAt = new Intl.DateTimeFormat(window.getLocale(), {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }).format(new Date(draft.savedAt));
+
+  const text = document.createElement('span');
+  text.className = 'me-auto';
+  text.textContent = window.translate('draft.found', { time: savedAt });
+
+  const restore = document.createElement('button');
+  restore.type = 'button';
+  restore.className = 'btn btn-sm btn-primary';
+  restore.textContent = window.translate('draft.restore');
+  restore.addEventListener('click', () => {
+    hideDraftBanner();
+    if (draftHooks.apply) {
+      draftHooks.apply(draft);
+    }
+    console.log('[Security] Contact draft restored');
+  });
+
+  const discard = document.createElement('button');
+  discard.type = 'button';
+  discard.className = 'btn btn-sm btn-outline-secondary';
+  discard.textContent = window.translate('draft.discard');
+  discard.addEventListener('click', clearDraft);
+
+  banner.append(text, restore, discard);
+  form.prepend(banner);
+  draftBanner = banner;
+}
+
+/**
+ * Start autosaving the form and offer any saved draft
+ *
+ * @param {HTMLFormElement} form - The contact form
+ * @param {Object} [config] - contactForm.draft from content.json
+ * @param {Object} hooks
+ * @param {Function} hooks.collect - Returns { fields, inquiry } from the form
+ * @param {Function} hooks.apply - Puts a saved { fields, inquiry } back into the form
+ */
+function initDraft(form, config = {}, hooks = {}) {
+  draftConfig = { ...DEFAULT_DRAFT_CONFIG, ...config };
+  draftHooks = hooks;
+
+  if (!draftConfig.enabled) {
+    removeStoredDraft();
+    return;
+  }
+
+  // A draft left in the other storage after the setting changed is dropped
+  removeDraftFrom(draftConfig.storage === 'local' ? 'session' : 'local');
+
+  form.addEventListener('input', scheduleDraftSave);
+  form.addEventListener('change', scheduleDraftSave);
+  window.addEventListener('pagehide', flushDraft);
+
+  const draft = readDraft();
+  if (draft) {
+    showDraftBanner(form, draft);
+  }
+}
+
+// Export for use in other modules
+window.contactDraft = {
+  init: initDraft,
+  save: saveDraft,
+  clear: clearDraft
+};
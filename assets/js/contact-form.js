@@ -1,9 +1,29 @@
 /**
  * Contact Form Module
  * Implements secure form handling with CSRF protection, rate limiting, and validation
- * Security features: CSRF tokens, rate limiting, input sanitization, honeypot
+ * Security features: CSRF tokens, rate limiting, input sanitization, honeypot,
+ * proof of work and timing checks (contact-bot-defense.js)
+ * Submissions that fail to send while offline are queued by contact-outbox.js
+ * Fields are declared in the contactForm.fields section of content.json and
+ * validated by form-validation.js
+ * With contactForm.wizard.enabled the form becomes a multi-step inquiry
+ * (contact-wizard.js) and submissions carry a structured "inquiry" object
+ * Unsent input is autosaved as a draft by contact-draft.js
+ * Files attached through contact-attachments.js are checked with the other
+ * fields and sent as multipart/form-data
+ * Rendering the declared fields is the only step tools/prerender.js runs;
+ * everything else is behavior and waits for the browser
  */
 
+// Field declarations currently rendered in the form
+let contactFields = window.DEFAULT_CONTACT_FIELDS;
+
+// Submission limit, configured by contactForm.rateLimit in content.json
+let contactRateLimiter = window.createRateLimiter({ key: 'form_submissions' });
+
+// Interval updating the countdown while sending is blocked
+let rateLimitCountdown = null;
+
 /**
  * Generate CSRF token (32-byte random hex string)
  */
@@ -31,64 +51,437 @@ function initCSRFToken() {
     tokenField.value = token;
   }
   
+  // Double-submit cookie: the server compares it with the header or field.
+  // On HTTPS the __Host- prefix keeps other subdomains from overwriting it.
+  const cookieName = window.location.protocol === 'https:' ? '__Host-csrf_token' : 'csrf_token';
+  const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+  document.cookie = `${cookieName}=${token}; Path=/; SameSite=Strict${secure}`;
+  
   return token;
 }
 
 /**
- * Validate individual field
+ * Replace the CSRF token after a submission has been used
+ */
+function rotateCSRFToken() {
+  sessionStorage.removeItem('csrf_token');
+  return initCSRFToken();
+}
+
+/**
+ * Generate a unique id for a submission, sent as its Idempotency-Key
+ */
+function generateSubmissionId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return generateCSRFToken();
+}
+
+/**
+ * Find the declaration of a rendered field
+ */
+function getFieldDeclaration(name) {
+  return contactFields.find(declaration => declaration.name === name) || null;
+}
+
+/**
+ * Validate individual field against its declaration
  */
 function validateField(field) {
-  const value = field.value.trim();
-  const fieldName = field.name;
-  let isValid = true;
-  let errorMessage = '';
-  
-  switch (fieldName) {
-    case 'name':
-      if (value.length < 2 || value.length > 100) {
-        isValid = false;
-        errorMessage = 'Name must be between 2 and 100 characters';
-      } else if (!/^[a-zA-Z\s'-]+$/.test(value)) {
-        isValid = false;
-        errorMessage = 'Name can only contain letters, spaces, hyphens, and apostrophes';
-      }
-      break;
-      
-    case 'email':
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(value)) {
-        isValid = false;
-        errorMessage = 'Please enter a valid email address';
-      }
-      break;
-      
-    case 'message':
-      if (value.length < 10 || value.length > 2000) {
-        isValid = false;
-        errorMessage = 'Message must be between 10 and 2000 characters';
+  const declaration = getFieldDeclaration(field.name);
+  if (!declaration) return true;
+  
+  const errorMessage = window.validateFieldValue(field.value, declaration, window.translate);
+  
+  setFieldState(field, !errorMessage, errorMessage || '');
+  refreshErrorSummary(field.form);
+  
+  return !errorMessage;
+}
+
+/**
+ * Update the character counter of a field, if it has one
+ */
+function updateCharacterCount(field) {
+  const counter = document.querySelector(`[data-char-count-for="${CSS.escape(field.name)}"]`);
+  const declaration = getFieldDeclaration(field.name);
+  if (!counter || !declaration) return;
+  
+  counter.textContent = window.translate('form.characterCount', {
+    count: Array.from(field.value).length,
+    max: declaration.maxLength
+  });
+}
+
+/**
+ * Build the markup of one declared field
+ */
+function createContactField(declaration) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'mb-3';
+  
+  const label = document.createElement('label');
+  label.className = 'form-label';
+  label.htmlFor = declaration.name;
+  label.textContent = `${declaration.label || declaration.name} `;
+  
+  if (declaration.required) {
+    const marker = document.createElement('span');
+    marker.className = 'text-danger';
+    marker.textContent = '*';
+    label.appendChild(marker);
+  }
+  
+  const isTextarea = declaration.type === 'textarea';
+  const input = document.createElement(isTextarea ? 'textarea' : 'input');
+  input.className = 'form-control';
+  input.id = declaration.name;
+  input.name = declaration.name;
+  // Follow the writing direction of what the visitor types
+  input.dir = 'auto';
+  
+  if (isTextarea) {
+    input.rows = declaration.rows || 4;
+  } else {
+    input.type = declaration.type || 'text';
+  }
+  
+  if (declaration.required) input.required = true;
+  if (declaration.minLength !== undefined) input.minLength = declaration.minLength;
+  if (declaration.maxLength !== undefined) input.maxLength = declaration.maxLength;
+  if (declaration.placeholder) input.placeholder = declaration.placeholder;
+  if (declaration.autocomplete) input.autocomplete = declaration.autocomplete;
+  
+  // Linked from aria-describedby while the field is invalid
+  const feedback = document.createElement('div');
+  feedback.className = 'invalid-feedback';
+  feedback.id = `${declaration.name}-feedback`;
+  
+  wrapper.append(label, input, feedback);
+  
+  if (declaration.counter && declaration.maxLength !== undefined) {
+    const counter = document.createElement('small');
+    counter.className = 'form-text text-muted';
+    counter.id = `${declaration.name}-count`;
+    counter.dataset.charCountFor = declaration.name;
+    input.setAttribute('aria-describedby', counter.id);
+    wrapper.appendChild(counter);
+  }
+  
+  return { wrapper, input };
+}
+
+/**
+ * Validate fields on blur and sanitize them on input. Handled on the
+ * container, so the fields in contact.html and the ones rendered from
+ * content behave the same.
+ */
+function initContactFields(container) {
+  const isField = target => target.matches('input, textarea');
+  
+  container.addEventListener('focusout', event => {
+    if (isField(event.target)) validateField(event.target);
+  });
+  
+  container.addEventListener('input', event => {
+    if (!isField(event.target)) return;
+    sanitizeInput(event.target);
+    updateCharacterCount(event.target);
+  });
+  
+  container.querySelectorAll('input, textarea').forEach(updateCharacterCount);
+}
+
+/**
+ * Get the declared fields, or the defaults when content declares none.
+ * Declarations with unsafe or reserved names are skipped.
+ */
+function getAllowedContactFields(fields) {
+  return (Array.isArray(fields) && fields.length > 0 ? fields : window.DEFAULT_CONTACT_FIELDS)
+    .filter(declaration => {
+      if (window.isAllowedFieldName(declaration.name)) return true;
+      console.warn('[Security] Contact field skipped, name not allowed:', declaration.name);
+      if (window.logSecurityEvent) {
+        window.logSecurityEvent('Contact field rejected', String(declaration.name));
       }
-      break;
+      return false;
+    });
+}
+
+/**
+ * Render the declared fields into #contact-fields, keeping anything the
+ * visitor has already typed
+ */
+function renderContactFields(fields) {
+  const container = document.getElementById('contact-fields');
+  if (!container) return;
+  
+  const declarations = getAllowedContactFields(fields);
+  
+  const values = {};
+  container.querySelectorAll('input, textarea').forEach(field => {
+    values[field.name] = field.value;
+  });
+  
+  contactFields = declarations;
+  container.replaceChildren();
+  
+  declarations.forEach(declaration => {
+    const { wrapper, input } = createContactField(declaration);
+    container.appendChild(wrapper);
+    input.value = values[declaration.name] || '';
+    updateCharacterCount(input);
+  });
+}
+
+/**
+ * Get the rendered inputs of the declared fields
+ */
+function getContactFieldInputs(form) {
+  return contactFields
+    .map(declaration => form.querySelector(`[name="${CSS.escape(declaration.name)}"]`))
+    .filter(Boolean);
+}
+
+/**
+ * Validate the declared fields and the privacy checkbox
+ */
+function validateContactDetails(form) {
+  let isValid = true;
+  
+  getContactFieldInputs(form).forEach(field => {
+    if (!validateField(field)) isValid = false;
+  });
+  
+  const privacyField = form.querySelector('[name="privacy"]');
+  setFieldState(privacyField, privacyField.checked, window.translate('form.privacyRequired'));
+  if (!privacyField.checked) isValid = false;
+  
+  return isValid;
+}
+
+/**
+ * Labels and values of the declared fields, for the wizard's review step
+ */
+function describeContactDetails(form) {
+  const details = contactFields.map(declaration => {
+    const field = form.querySelector(`[name="${CSS.escape(declaration.name)}"]`);
+    return { label: declaration.label || declaration.name, value: field ? field.value.trim() : '' };
+  });
+  
+  const attachments = getActiveAttachments();
+  if (attachments) {
+    details.push({
+      label: window.translate('attachments.label'),
+      value: attachments.getFiles().map(file => file.name).join(', ')
+    });
+  }
+  
+  return details;
+}
+
+/**
+ * Get the inquiry wizard if it is active on this form
+ */
+function getActiveWizard() {
+  return window.contactWizard && window.contactWizard.isActive() ? window.contactWizard : null;
+}
+
+/**
+ * Get the bot defenses if they are loaded
+ */
+function getBotDefense() {
+  return window.contactBotDefense || null;
+}
+
+/**
+ * Get the attachments field if it is enabled
+ */
+function getActiveAttachments() {
+  return window.contactAttachments && window.contactAttachments.isActive() ? window.contactAttachments : null;
+}
+
+/**
+ * Get the feedback element of a field (<id>-feedback)
+ */
+function getFieldFeedback(field) {
+  return field.id ? document.getElementById(`${field.id}-feedback`) : null;
+}
+
+/**
+ * Add an id to, or remove it from, an element's aria-describedby
+ */
+function toggleDescribedBy(element, id, include) {
+  const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(value => value && value !== id);
+  
+  // The error comes first so it is read before any hint
+  if (include) ids.unshift(id);
+  
+  if (ids.length > 0) {
+    element.setAttribute('aria-describedby', ids.join(' '));
+  } else {
+    element.removeAttribute('aria-describedby');
   }
+}
+
+/**
+ * Show a field as valid, or invalid with a message in its feedback element.
+ * The feedback is shown by CSS next to .is-invalid and linked through
+ * aria-describedby only while there is an error to read.
+ */
+function setFieldState(field, isValid, errorMessage = '') {
+  const feedback = getFieldFeedback(field);
   
-  // Update field state
-  const feedback = field.nextElementSibling;
+  field.classList.toggle('is-invalid', !isValid);
+  field.classList.toggle('is-valid', isValid && field.type !== 'checkbox');
   
   if (isValid) {
-    field.classList.remove('is-invalid');
-    field.classList.add('is-valid');
-    if (feedback && feedback.classList.contains('invalid-feedback')) {
-      feedback.style.display = 'none';
-    }
+    field.removeAttribute('aria-invalid');
   } else {
-    field.classList.remove('is-valid');
-    field.classList.add('is-invalid');
-    if (feedback && feedback.classList.contains('invalid-feedback')) {
-      feedback.textContent = errorMessage;
-      feedback.style.display = 'block';
-    }
+    field.setAttribute('aria-invalid', 'true');
   }
   
-  return isValid;
+  if (feedback) {
+    feedback.textContent = isValid ? '' : errorMessage;
+    toggleDescribedBy(field, feedback.id, !isValid);
+  }
+}
+
+/**
+ * Errors currently shown in the form, one per feedback element, from fields
+ * marked aria-invalid that are not in a hidden wizard step
+ */
+function collectFormErrors(form) {
+  const errors = new Map();
+  
+  form.querySelectorAll('[aria-invalid="true"]').forEach(field => {
+    if (field.closest('[hidden]')) return;
+    
+    const feedback = (field.getAttribute('aria-describedby') || '')
+      .split(/\s+/)
+      .map(id => id && document.getElementById(id))
+      .find(element => element && element.classList.contains('invalid-feedback'));
+    const message = feedback ? feedback.textContent.trim() : '';
+    if (!feedback || message === '' || errors.has(feedback.id)) return;
+    
+    // Declared fields' messages can be generic ("This field is required")
+    const declaration = getFieldDeclaration(field.name);
+    const label = declaration ? declaration.label || declaration.name : '';
+    
+    errors.set(feedback.id, { field, message: label ? `${label}: ${message}` : message });
+  });
+  
+  return Array.from(errors.values());
+}
+
+/**
+ * The error summary at the top of the form, created on first use
+ */
+function getErrorSummary(form) {
+  let summary = document.getElementById('form-error-summary');
+  if (summary) return summary;
+  
+  summary = document.createElement('div');
+  summary.id = 'form-error-summary';
+  summary.className = 'alert alert-danger error-summary';
+  summary.setAttribute('role', 'group');
+  summary.setAttribute('aria-labelledby', 'form-error-summary-title');
+  summary.tabIndex = -1;
+  summary.hidden = true;
+  
+  const title = document.createElement('p');
+  title.id = 'form-error-summary-title';
+  title.className = 'error-summary-title';
+  
+  const list = document.createElement('ul');
+  list.className = 'error-summary-list';
+  
+  summary.append(title, list);
+  form.prepend(summary);
+  
+  return summary;
+}
+
+/**
+ * List every error in the summary as a link that focuses its field
+ *
+ * @returns {boolean} Whether there were errors to list
+ */
+function renderErrorSummary(form) {
+  const summary = getErrorSummary(form);
+  const errors = collectFormErrors(form);
+  
+  summary.querySelector('.error-summary-title').textContent = window.translate('form.correctErrors');
+  summary.querySelector('.error-summary-list').replaceChildren(...errors.map(({ field, message }) => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = `#${field.id}`;
+    link.textContent = message;
+    link.addEventListener('click', event => {
+      event.preventDefault();
+      field.focus();
+      field.scrollIntoView({ behavior: window.getScrollBehavior(), block: 'center' });
+    });
+    item.appendChild(link);
+    return item;
+  }));
+  summary.hidden = errors.length === 0;
+  
+  return errors.length > 0;
+}
+
+/**
+ * Show the error summary after a failed submit and move focus to it, so
+ * screen readers read the list of errors
+ */
+function showErrorSummary(form) {
+  clearMessage();
+  
+  if (!renderErrorSummary(form)) {
+    showMessage('danger', window.translate('form.correctErrors'));
+    return;
+  }
+  
+  const summary = getErrorSummary(form);
+  summary.focus();
+  summary.scrollIntoView({ behavior: window.getScrollBehavior(), block: 'nearest' });
+}
+
+/**
+ * Keep a visible summary up to date as errors are fixed
+ */
+function refreshErrorSummary(form) {
+  const summary = document.getElementById('form-error-summary');
+  if (form && summary && !summary.hidden) {
+    renderErrorSummary(form);
+  }
+}
+
+/**
+ * Hide the error summary
+ */
+function hideErrorSummary() {
+  const summary = document.getElementById('form-error-summary');
+  if (summary) {
+    summary.hidden = true;
+  }
+}
+
+/**
+ * Show field errors returned by the server on the matching inputs.
+ * Returns false if none of the fields exist in the form.
+ */
+function applyFieldErrors(form, fieldErrors) {
+  let applied = false;
+  
+  Object.entries(fieldErrors).forEach(([name, message]) => {
+    const field = form.querySelector(`[name="${CSS.escape(name)}"]`);
+    if (field && field.type !== 'hidden') {
+      setFieldState(field, false, message);
+      applied = true;
+    }
+  });
+  
+  return applied;
 }
 
 /**
@@ -110,67 +503,309 @@ function sanitizeInput(input) {
 
 /**
  * Check rate limiting
+ * Submissions waiting in the outbox count towards the limit
+ *
+ * @returns {{ allowed: boolean, reason: string|null, retryAt: number|null }}
  */
-function checkRateLimit() {
-  const submissions = JSON.parse(localStorage.getItem('form_submissions') || '[]');
-  const now = Date.now();
-  const oneHour = 60 * 60 * 1000;
-  
-  // Filter submissions within the last hour
-  const recentSubmissions = submissions.filter(timestamp => now - timestamp < oneHour);
-  
-  if (recentSubmissions.length >= 3) {
-    const oldestSubmission = Math.min(...recentSubmissions);
-    const timeUntilNext = oldestSubmission + oneHour - now;
-    const minutesLeft = Math.ceil(timeUntilNext / 60000);
-    
-    return {
-      allowed: false,
-      message: `Rate limit exceeded. Please try again in ${minutesLeft} minute(s).`
-    };
-  }
-  
-  return { allowed: true };
+function checkRateLimit(pending = 0) {
+  return contactRateLimiter.check(pending);
 }
 
 /**
  * Record form submission
  */
 function recordSubmission() {
-  const submissions = JSON.parse(localStorage.getItem('form_submissions') || '[]');
-  submissions.push(Date.now());
+  contactRateLimiter.record();
+  contactRateLimiter.resetFailures();
+  console.log('[Security] Form submission recorded');
+}
+
+/**
+ * Record a rejected attempt (invalid input, a honeypot hit or a failed bot
+ * check); repeated failures make the visitor wait longer and longer
+ */
+function recordFailedAttempt() {
+  contactRateLimiter.recordFailure();
+}
+
+/**
+ * Format a wait as m:ss in the page's language
+ */
+function formatCountdown(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = new Intl.NumberFormat(window.getLocale()).format(Math.floor(seconds / 60));
+  const rest = new Intl.NumberFormat(window.getLocale(), { minimumIntegerDigits: 2 }).format(seconds % 60);
+  
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Disable sending until retryAt, counting down in the form message
+ */
+function startRateLimitCountdown(form, retryAt, messageKey = 'form.rateLimited') {
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const messageDiv = document.getElementById('form-message');
+  
+  clearInterval(rateLimitCountdown);
+  submitBtn.disabled = true;
+  showMessage('danger', window.translate(messageKey, { time: formatCountdown(retryAt - Date.now()) }));
   
-  // Keep only last 10 submissions
-  if (submissions.length > 10) {
-    submissions.shift();
+  rateLimitCountdown = setInterval(() => {
+    const remaining = retryAt - Date.now();
+    
+    if (remaining > 0) {
+      if (messageDiv && messageDiv.firstChild) {
+        // Announced once when shown, not on every tick
+        messageDiv.setAttribute('aria-live', 'off');
+        messageDiv.firstChild.textContent = window.translate(messageKey, { time: formatCountdown(remaining) });
+      }
+      return;
+    }
+    
+    clearInterval(rateLimitCountdown);
+    rateLimitCountdown = null;
+    submitBtn.disabled = false;
+    showMessage('info', window.translate('form.canSendAgain'));
+  }, 1000);
+}
+
+/**
+ * Explain why sending is blocked: queued messages, or a countdown for the
+ * rate limit and the backoff after failed attempts
+ */
+function showRateLimit(form, rateLimit) {
+  if (rateLimit.reason === 'pending') {
+    showMessage('danger', window.translate('form.outboxFull'));
+    return;
   }
   
-  localStorage.setItem('form_submissions', JSON.stringify(submissions));
-  console.log('[Security] Form submission recorded');
+  startRateLimitCountdown(form, rateLimit.retryAt, rateLimit.reason === 'backoff' ? 'form.backoff' : 'form.rateLimited');
 }
 
 /**
  * Show message to user
+ * #form-message is a live region that always stays in the page, so each new
+ * message is announced; errors interrupt, everything else waits its turn
  */
 function showMessage(type, message) {
   const messageDiv = document.getElementById('form-message');
   if (!messageDiv) return;
   
-  messageDiv.className = `alert alert-${type}`;
-  messageDiv.textContent = message;
-  messageDiv.style.display = 'block';
+  const alert = document.createElement('div');
+  alert.className = `alert alert-${type}`;
+  alert.textContent = message;
+  
+  messageDiv.setAttribute('aria-live', type === 'danger' ? 'assertive' : 'polite');
+  messageDiv.replaceChildren(alert);
   
   // Scroll to message
-  messageDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  messageDiv.scrollIntoView({ behavior: window.getScrollBehavior(), block: 'nearest' });
   
   // Auto-hide success messages after 5 seconds
   if (type === 'success') {
     setTimeout(() => {
-      messageDiv.style.display = 'none';
+      if (messageDiv.firstChild === alert) {
+        messageDiv.replaceChildren();
+      }
     }, 5000);
   }
 }
 
+/**
+ * Remove the current message
+ */
+function clearMessage() {
+  const messageDiv = document.getElementById('form-message');
+  if (messageDiv) {
+    messageDiv.replaceChildren();
+  }
+}
+
+/**
+ * Get the outbox if this browser supports it
+ */
+function getOutbox() {
+  return window.contactOutbox && window.contactOutbox.isSupported() ? window.contactOutbox : null;
+}
+
+/**
+ * Create the transport configured in content.json
+ */
+function getContactTransport() {
+  return window.createTransport(
+    window.contentStore.getContent('contactForm.transport') || undefined,
+    window.contentStore.getContent('site.email')
+  );
+}
+
+/**
+ * Clear the form and its validation state
+ */
+function resetContactForm(form) {
+  form.reset();
+  
+  form.querySelectorAll('.is-valid, .is-invalid').forEach(field => {
+    field.classList.remove('is-valid', 'is-invalid');
+  });
+  form.querySelectorAll('[aria-invalid]').forEach(field => {
+    field.removeAttribute('aria-invalid');
+    const feedback = getFieldFeedback(field);
+    if (feedback) {
+      toggleDescribedBy(field, feedback.id, false);
+    }
+  });
+  hideErrorSummary();
+  
+  getContactFieldInputs(form).forEach(updateCharacterCount);
+  
+  if (getActiveWizard()) {
+    getActiveWizard().reset();
+  }
+  
+  if (getActiveAttachments()) {
+    getActiveAttachments().clear();
+  }
+  
+  // The next message needs a new proof of work
+  if (getBotDefense()) {
+    getBotDefense().reset();
+  }
+}
+
+/**
+ * Save a submission to the outbox and tell the visitor it will be sent later
+ */
+async function queueSubmission(form, formData) {
+  await getOutbox().enqueue(formData);
+  clearContactDraft();
+  resetContactForm(form);
+  showMessage('info', window.translate('form.queued'));
+}
+
+/**
+ * Put saved values and wizard choices back into the form
+ */
+function fillContactForm(form, values, inquiry) {
+  getContactFieldInputs(form).forEach(field => {
+    field.value = typeof values[field.name] === 'string' ? values[field.name] : '';
+    updateCharacterCount(field);
+  });
+  
+  if (inquiry && getActiveWizard()) {
+    getActiveWizard().restore(inquiry);
+  }
+}
+
+/**
+ * Put a queued message that was rejected back into the form, unless the
+ * visitor has started a new one
+ */
+function restoreSubmission(form, data) {
+  if (getContactFieldInputs(form).some(field => field.value.trim() !== '')) return;
+  
+  fillContactForm(form, data, data.inquiry);
+  
+  if (data.attachments && getActiveAttachments()) {
+    getActiveAttachments().restore(data.attachments);
+  }
+}
+
+/**
+ * Current values and wizard choices, for the draft
+ */
+function collectDraft(form) {
+  const fields = {};
+  getContactFieldInputs(form).forEach(field => {
+    fields[field.name] = field.value;
+  });
+  
+  return { fields, inquiry: getActiveWizard() ? getActiveWizard().getInquiry() : null };
+}
+
+/**
+ * Remove the saved draft once the message has been sent or queued
+ */
+function clearContactDraft() {
+  if (window.contactDraft) {
+    window.contactDraft.clear();
+  }
+}
+
+/**
+ * Show a submission error: server field errors on their inputs, rate limits
+ * with the wait time, anything else as a generic error
+ */
+function showSubmissionError(form, error, fallbackKey = 'form.error') {
+  if (error.fieldErrors && applyFieldErrors(form, error.fieldErrors)) {
+    showErrorSummary(form);
+  } else if (error.status === 429) {
+    startRateLimitCountdown(form, Date.now() + (error.retryAfter || 60) * 1000);
+  } else {
+    showMessage('danger', window.translate(fallbackKey));
+  }
+}
+
+/**
+ * Send queued submissions one at a time, oldest first.
+ * Stops at the rate limit or the first failure that is worth retrying;
+ * entries rejected by the server are dropped and restored into the form.
+ */
+async function flushOutbox() {
+  const outbox = getOutbox();
+  if (!outbox || navigator.onLine === false) return;
+  
+  const form = document.getElementById('contact-form');
+  
+  try {
+    await outbox.withLock(async () => {
+      let entry;
+      
+      while ((entry = await outbox.claimNext())) {
+        // Backoff only holds back new attempts; queued messages were valid
+        const rateLimit = checkRateLimit();
+        if (!rateLimit.allowed && rateLimit.reason !== 'backoff') {
+          await outbox.release(entry.id);
+          console.warn('[Security] Rate limit reached, outbox will be sent later');
+          return;
+        }
+        
+        try {
+          // Use the CSRF token current at send time; queued entries never
+          // store one. The queued proof of work may have expired meanwhile.
+          const data = { ...entry.data, csrf_token: initCSRFToken() };
+          if (getBotDefense()) {
+            data.proof = await getBotDefense().renewProof(data.proof);
+          }
+          
+          await getContactTransport().send(data, { mailtoFallback: false });
+        } catch (error) {
+          if (error.retryable || error.status === 429) {
+            await outbox.release(entry.id);
+            console.warn('[Security] Outbox send failed, will retry:', error.message);
+            return;
+          }
+          
+          await outbox.remove(entry.id);
+          console.error('[Security] Queued submission rejected:', error);
+          if (form) {
+            restoreSubmission(form, entry.data);
+            showSubmissionError(form, error, 'form.queuedFailed');
+          }
+          continue;
+        }
+        
+        await outbox.remove(entry.id);
+        recordSubmission();
+        rotateCSRFToken();
+        showMessage('success', window.translate('form.queuedSent'));
+        console.log('[Security] Queued submission sent');
+      }
+    });
+  } catch (error) {
+    console.error('[Security] Outbox error:', error);
+  }
+}
+
 /**
  * Handle form submission
  */
@@ -179,44 +814,59 @@ async function handleSubmit(event) {
   
   const form = event.target;
   const submitBtn = form.querySelector('button[type="submit"]');
+  const outbox = getOutbox();
+  const wizard = getActiveWizard();
+  const attachments = getActiveAttachments();
   
-  // Check rate limiting
-  const rateLimit = checkRateLimit();
+  // Enter in a wizard step moves on instead of submitting
+  if (wizard && !wizard.isOnReview()) {
+    wizard.next();
+    return;
+  }
+  
+  // Check rate limiting (queued messages count too)
+  const pending = outbox ? await outbox.count().catch(() => 0) : 0;
+  const rateLimit = checkRateLimit(pending);
   if (!rateLimit.allowed) {
-    showMessage('danger', rateLimit.message);
-    console.warn('[Security] Rate limit exceeded');
+    showRateLimit(form, rateLimit);
+    console.warn(`[Security] Rate limit exceeded (${rateLimit.reason})`);
     return;
   }
   
   // Validate all fields
-  const nameField = form.querySelector('[name="name"]');
-  const emailField = form.querySelector('[name="email"]');
-  const messageField = form.querySelector('[name="message"]');
-  const privacyField = form.querySelector('[name="privacy"]');
+  const fields = getContactFieldInputs(form);
   const honeypotField = form.querySelector('[name="website"]');
   
-  let isFormValid = true;
-  
-  // Validate required fields
-  if (!validateField(nameField)) isFormValid = false;
-  if (!validateField(emailField)) isFormValid = false;
-  if (!validateField(messageField)) isFormValid = false;
-  
-  // Check privacy checkbox
-  if (!privacyField.checked) {
-    showMessage('danger', 'Please accept the privacy policy to continue.');
-    isFormValid = false;
-  }
+  // Validate declared fields, every wizard step and the attachments
+  let isFormValid = validateContactDetails(form);
+  if (wizard && !wizard.validate()) isFormValid = false;
+  if (attachments && !(await attachments.validate())) isFormValid = false;
   
   // Check honeypot (must be empty)
   if (honeypotField.value.trim() !== '') {
     console.warn('[Security] Honeypot field filled - potential bot detected');
-    showMessage('danger', 'Invalid submission detected.');
+    if (window.logSecurityEvent) {
+      window.logSecurityEvent('Bot signal: honeypot', 'Honeypot field filled');
+    }
+    recordFailedAttempt();
+    showMessage('danger', window.translate('form.invalidSubmission'));
     return;
   }
   
   if (!isFormValid) {
-    showMessage('danger', 'Please correct the errors in the form.');
+    recordFailedAttempt();
+    showErrorSummary(form);
+    return;
+  }
+  
+  hideErrorSummary();
+  
+  // Check timing and interaction signals
+  const botDefense = getBotDefense();
+  const botCheck = botDefense ? botDefense.check() : { allowed: true, signals: [] };
+  if (!botCheck.allowed) {
+    recordFailedAttempt();
+    showMessage('danger', window.translate(botCheck.message));
     return;
   }
   
@@ -224,84 +874,75 @@ async function handleSubmit(event) {
   submitBtn.disabled = true;
   submitBtn.classList.add('btn-loading');
   const originalText = submitBtn.textContent;
-  submitBtn.textContent = 'Sending...';
+  submitBtn.textContent = window.translate('form.sending');
+  
+  // Prepare form data; the id stays the same if the message is queued and retried
+  const formData = {};
+  fields.forEach(field => {
+    formData[field.name] = field.value.trim();
+  });
+  Object.assign(formData, {
+    csrf_token: form.querySelector('[name="csrf_token"]').value,
+    submission_id: generateSubmissionId(),
+    timestamp: Date.now()
+  });
+  
+  if (wizard) {
+    formData.inquiry = wizard.getInquiry();
+  }
+  
+  if (attachments && attachments.getFiles().length > 0) {
+    formData.attachments = attachments.getFiles();
+  }
   
   try {
-    // Prepare form data
-    const formData = {
-      name: nameField.value.trim(),
-      email: emailField.value.trim(),
-      message: messageField.value.trim(),
-      csrf_token: form.querySelector('[name="csrf_token"]').value,
-      timestamp: Date.now()
-    };
+    // Wait for the proof of work, solved while the visitor was typing
+    if (botDefense) {
+      formData.proof = await botDefense.getProof(botCheck.signals);
+    }
     
-    // In a real implementation, send to backend
-    // For now, simulate API call
-    await simulateAPICall(formData);
+    if (outbox && navigator.onLine === false) {
+      await queueSubmission(form, formData);
+      return;
+    }
+    
+    let result;
+    try {
+      result = await getContactTransport().send(formData, { queueable: Boolean(outbox) });
+    } catch (error) {
+      if (outbox && error.retryable) {
+        console.warn('[Security] Send failed, queueing submission:', error.message);
+        await queueSubmission(form, formData);
+        return;
+      }
+      throw error;
+    }
     
     // Record submission for rate limiting
     recordSubmission();
+    clearContactDraft();
     
-    // Show success message
-    showMessage('success', 'Thank you for your message! I will get back to you soon.');
-    
-    // Reset form
-    form.reset();
+    // A mailto draft is only sent once the visitor sends it from their email app
+    showMessage('success', window.translate(result.delivered ? 'form.success' : 'form.mailtoOpened'));
     
-    // Remove validation classes
-    form.querySelectorAll('.is-valid, .is-invalid').forEach(field => {
-      field.classList.remove('is-valid', 'is-invalid');
-    });
+    resetContactForm(form);
     
     // Generate new CSRF token
-    initCSRFToken();
+    rotateCSRFToken();
     
     console.log('[Security] Form submitted successfully');
     
   } catch (error) {
     console.error('[Security] Form submission error:', error);
-    showMessage('danger', 'An error occurred while sending your message. Please try again later.');
+    showSubmissionError(form, error);
   } finally {
-    // Re-enable submit button
-    submitBtn.disabled = false;
+    // Re-enable submit button, unless a rate limit countdown has started
+    submitBtn.disabled = rateLimitCountdown !== null;
     submitBtn.classList.remove('btn-loading');
     submitBtn.textContent = originalText;
   }
 }
 
-/**
- * Simulate API call (replace with actual backend call)
- */
-function simulateAPICall(data) {
-  return new Promise((resolve, reject) => {
-    // Simulate network delay
-    setTimeout(() => {
-      console.log('[Security] Form data (sanitized):', {
-        name: window.escapeHtml(data.name),
-        email: window.escapeHtml(data.email),
-        message: window.escapeHtml(data.message).substring(0, 50) + '...',
-        timestamp: data.timestamp
-      });
-      resolve();
-    }, 1500);
-  });
-}
-
-/**
- * Initialize character counter
- */
-function initCharacterCounter() {
-  const messageField = document.getElementById('message');
-  const charCount = document.getElementById('char-count');
-  
-  if (messageField && charCount) {
-    messageField.addEventListener('input', function() {
-      charCount.textContent = this.value.length;
-    });
-  }
-}
-
 /**
  * Initialize contact form
  */
@@ -311,35 +952,89 @@ function initContactForm() {
   
   console.log('[Security] Initializing contact form...');
   
+  // contact.html holds the default fields; the declared ones replace them
+  // once content loads, or were rendered at build time
+  window.contentStore.subscribe('contactForm.fields', fields => {
+    if (window.isPrerendered()) {
+      contactFields = getAllowedContactFields(fields);
+    } else {
+      renderContactFields(fields);
+    }
+  });
+  
+  // Behavior from here on, left out at build time
+  if (window.isPrerendering()) return;
+  
   // Initialize CSRF token
   initCSRFToken();
   
-  // Initialize character counter
-  initCharacterCounter();
+  // Apply the configured rate limit, counting down straight away if it is reached
+  window.contentStore.subscribe('contactForm.rateLimit', config => {
+    contactRateLimiter = window.createRateLimiter({ ...config, key: 'form_submissions' });
+    const rateLimit = checkRateLimit();
+    if (!rateLimit.allowed) {
+      showRateLimit(form, rateLimit);
+    }
+  });
   
-  // Add validation on blur
-  const nameField = form.querySelector('[name="name"]');
-  const emailField = form.querySelector('[name="email"]');
-  const messageField = form.querySelector('[name="message"]');
+  // Each field validates on blur and sanitizes on input
+  const fieldList = document.getElementById('contact-fields');
+  if (fieldList) {
+    initContactFields(fieldList);
+  }
+  
+  // Switch to the inquiry wizard when content enables it
+  if (window.contactWizard) {
+    window.contentStore.subscribe('contactForm.wizard', (config, content) => {
+      window.contactWizard.init(form, config, content.services, {
+        validateContact: () => validateContactDetails(form),
+        describeContact: () => describeContactDetails(form)
+      });
+    });
+  }
   
-  if (nameField) {
-    nameField.addEventListener('blur', () => validateField(nameField));
-    nameField.addEventListener('input', () => sanitizeInput(nameField));
+  // Attachments need an endpoint; a mailto draft cannot carry them
+  if (window.contactAttachments) {
+    window.contentStore.subscribe('contactForm.attachments', config => {
+      const canAttach = Boolean(config) && getContactTransport().type !== 'mailto';
+      window.contactAttachments.init(document.getElementById('contact-attachments'), canAttach ? config : undefined);
+    });
   }
   
-  if (emailField) {
-    emailField.addEventListener('blur', () => validateField(emailField));
-    emailField.addEventListener('input', () => sanitizeInput(emailField));
+  // Autosave drafts once content has rendered the declared fields
+  if (window.contactDraft) {
+    window.componentsReady.then(() => {
+      window.contactDraft.init(form, window.contentStore.getContent('contactForm.draft') || undefined, {
+        collect: () => collectDraft(form),
+        apply: draft => fillContactForm(form, draft.fields, draft.inquiry)
+      });
+    });
   }
   
-  if (messageField) {
-    messageField.addEventListener('blur', () => validateField(messageField));
-    messageField.addEventListener('input', () => sanitizeInput(messageField));
+  // Start the bot checks; their settings arrive with the content
+  if (getBotDefense()) {
+    getBotDefense().init(form);
+    window.contentStore.subscribe('contactForm.botDefense', config => getBotDefense().configure(config || undefined));
   }
   
+  // Clear the privacy error once the box is checked
+  form.querySelector('[name="privacy"]').addEventListener('change', event => {
+    if (event.target.checked) {
+      setFieldState(event.target, true);
+    }
+  });
+  
+  // Drop fixed errors (wizard choices, privacy, attachments) from the summary
+  form.addEventListener('change', () => refreshErrorSummary(form));
+  
   // Handle form submission
   form.addEventListener('submit', handleSubmit);
   
+  // Send anything left in the outbox now and whenever the connection returns
+  if (getOutbox()) {
+    getOutbox().init(flushOutbox);
+  }
+  
   console.log('[Security] Contact form initialized with security features');
 }
 
@@ -0,0 +1,245 @@
+/**
+ * Contact Outbox Module
+ * Keeps contact submissions that could not be sent (offline, network error,
+ * 5xx) in IndexedDB until contact-form.js can send them again: on the
+ * "online" event, on page load, or when the service worker (sw.js) fires a
+ * Background Sync.
+ *
+ * Security: CSRF tokens are never stored; the current token is added when an
+ * entry is sent. An entry is claimed before it is sent and removed after, under
+ * a lock shared by all tabs, and its submission_id travels as Idempotency-Key
+ * so a message is never delivered twice.
+ */
+
+const OUTBOX_DB_NAME = 'contact_outbox';
+const OUTBOX_STORE_NAME = 'submissions';
+const OUTBOX_SYNC_TAG = 'contact-outbox';
+const OUTBOX_LOCK_NAME = 'contact-outbox';
+
+// A claim older than this belongs to a tab that closed mid-send
+const OUTBOX_CLAIM_TIMEOUT = 2 * 60 * 1000;
+
+let outboxDatabase = null;
+let outboxLocalLock = false;
+
+/**
+ * Check whether the outbox can be used in this browser
+ */
+function isOutboxSupported() {
+  return typeof window.indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and create on first use) the outbox database
+ */
+function openOutbox() {
+  if (outboxDatabase) return outboxDatabase;
+
+  outboxDatabase = new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      outboxDatabase = null;
+      reject(request.error);
+    };
+  });
+
+  return outboxDatabase;
+}
+
+/**
+ * Run callback(store) in a transaction and resolve with its result once the
+ * transaction has committed
+ */
+async function withOutboxStore(mode, callback) {
+  const db = await openOutbox();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE_NAME, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+
+    callback(transaction.objectStore(OUTBOX_STORE_NAME), value => { result = value; });
+  });
+}
+
+/**
+ * Save a submission. The CSRF token is dropped; it is added again when sent.
+ */
+async function enqueueSubmission(data) {
+  const { csrf_token: csrfToken, ...fields } = data;
+
+  await withOutboxStore('readwrite', store => {
+    store.put({ id: fields.submission_id, data: fields, queuedAt: Date.now(), claimedAt: 0 });
+  });
+
+  console.log('[Security] Submission queued in outbox');
+  requestOutboxSync();
+}
+
+/**
+ * Count queued submissions
+ */
+function countQueuedSubmissions() {
+  return withOutboxStore('readonly', (store, setResult) => {
+    const request = store.count();
+    request.onsuccess = () => setResult(request.result);
+  });
+}
+
+/**
+ * Claim the oldest unclaimed submission, or resolve with null.
+ * Reading and claiming happen in one transaction, so two tabs can never
+ * claim the same entry.
+ */
+function claimNextSubmission() {
+  return withOutboxStore('readwrite', (store, setResult) => {
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      const now = Date.now();
+      const entry = request.result
+        .filter(item => now - item.claimedAt > OUTBOX_CLAIM_TIMEOUT)
+        .sort((a, b) => a.queuedAt - b.queuedAt)[0];
+
+      if (!entry) {
+        setResult(null);
+        return;
+      }
+
+      entry.claimedAt = now;
+      store.put(entry);
+      setResult(entry);
+    };
+  });
+}
+
+/**
+ * Give a claimed submission back to the queue for a later attempt
+ */
+function releaseSubmission(id) {
+  return withOutboxStore('readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, claimedAt: 0 });
+      }
+    };
+  });
+}
+
+/**
+ * Remove a submission that was sent or can never be sent
+ */
+function removeSubmission(id) {
+  return withOutboxStore('readwrite', store => {
+    store.delete(id);
+  });
+}
+
+/**
+ * Run callback while holding the outbox lock. Resolves with null without
+ * running it if another tab (or this one) is already sending.
+ */
+async function withOutboxLock(callback) {
+  if (navigator.locks) {
+    return navigator.locks.request(OUTBOX_LOCK_NAME, { ifAvailable: true }, lock => (
+      lock ? callback() : null
+    ));
+  }
+
+  // Without the Web Locks API the claims in claimNextSubmission still keep
+  // other tabs from sending the same entry
+  if (outboxLocalLock) return null;
+
+  outboxLocalLock = true;
+  try {
+    return await callback();
+  } finally {
+    outboxLocalLock = false;
+  }
+}
+
+/**
+ * Ask the service worker for a Background Sync, where supported
+ */
+async function requestOutboxSync() {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(OUTBOX_SYNC_TAG);
+    }
+  } catch (error) {
+    // The online event and the next page load still flush the outbox
+    console.warn('[Security] Background Sync unavailable:', error.message);
+  }
+}
+
+/**
+ * Flush for a Background Sync and tell the service worker, on the port it
+ * sent, whether the outbox is empty now; it retries the sync when not
+ */
+async function answerFlushRequest(flush, port) {
+  let empty = false;
+
+  try {
+    await flush();
+    empty = (await countQueuedSubmissions()) === 0;
+  } catch (error) {
+    console.warn('[Security] Outbox flush for Background Sync failed:', error.message);
+  }
+
+  if (port) {
+    port.postMessage({ type: 'outbox-flushed', empty });
+  }
+}
+
+/**
+ * Register the service worker and call flush whenever the outbox should be
+ * sent: now, when the browser comes back online, and on Background Sync.
+ * flush must resolve once it has finished sending.
+ */
+function initOutbox(flush) {
+  if (!isOutboxSupported()) return;
+
+  window.addEventListener('online', flush);
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'flush-outbox') {
+        answerFlushRequest(flush, event.ports[0]);
+      }
+    });
+
+    try {
+      navigator.serviceWorker.register(window.createTrustedScriptURL('sw.js')).catch(error => {
+        console.warn('[Security] Service worker registration failed:', error.message);
+      });
+    } catch (error) {
+      console.warn('[Security] Service worker not registered:', error.message);
+    }
+  }
+
+  flush();
+}
+
+// Export for use in other modules
+window.contactOutbox = {
+  isSupported: isOutboxSupported,
+  init: initOutbox,
+  enqueue: enqueueSubmission,
+  count: countQueuedSubmissions,
+  claimNext: claimNextSubmission,
+  release: releaseSubmission,
+  remove: removeSubmission,
+  withLock: withOutboxLock
+};
@@ -0,0 +1,479 @@
+/**
+ * Contact Wizard Module
+ * Optional step-by-step inquiry mode for the contact form, switched on by
+ * contactForm.wizard.enabled in content.json. The steps are services (from
+ * content.services, by id), compliance needs, budget, timeline, contact
+ * details and a review. A step is validated before the next one is shown,
+ * and Back returns to the step visited before, including after jumping to
+ * a step from the review.
+ *
+ * contact-form.js submits the choices as a structured "inquiry" object:
+ *   { services: [ids], compliance: [ids], budget: id, timeline: id }
+ */
+
+const WIZARD_STEPS = ['service', 'compliance', 'budget', 'timeline', 'contact', 'review'];
+
+/**
+ * Steps that are a list of choices: the inquiry key they fill, whether several
+ * can be chosen, and the message shown when a required choice is missing
+ */
+const WIZARD_CHOICE_STEPS = {
+  service: { key: 'services', multiple: true, message: 'wizard.chooseService' },
+  compliance: { key: 'compliance', multiple: true, message: null },
+  budget: { key: 'budget', multiple: false, message: 'wizard.chooseBudget' },
+  timeline: { key: 'timeline', multiple: false, message: 'wizard.chooseTimeline' }
+};
+
+let wizardForm = null;
+let wizardHooks = {};
+let wizardElements = null;
+let wizardCurrentStep = 0;
+let wizardHistory = [];
+
+/**
+ * Read the options of every choice step from the content
+ */
+function getWizardOptions(config, services) {
+  const toOptions = list => (Array.isArray(list) ? list : [])
+    .filter(option => option && typeof option.id === 'string')
+    .map(option => ({ id: option.id, label: option.label || option.title || option.id }));
+
+  return {
+    service: toOptions(services),
+    compliance: toOptions(config.compliance),
+    budget: toOptions(config.budgets),
+    timeline: toOptions(config.timelines)
+  };
+}
+
+/**
+ * Create a step heading that receives focus when its step is shown
+ */
+function createStepHeading(step, tagName) {
+  const heading = document.createElement(tagName);
+  heading.className = 'wizard-step-title h5 mb-3';
+  heading.tabIndex = -1;
+  heading.textContent = window.translate(`wizard.question.${step}`);
+  return heading;
+}
+
+/**
+ * Build a step of checkboxes (several choices) or radio buttons (one choice)
+ */
+function createChoiceStep(step, options) {
+  const { multiple, message } = WIZARD_CHOICE_STEPS[step];
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'wizard-step';
+  fieldset.dataset.wizardStep = step;
+  fieldset.appendChild(createStepHeading(step, 'legend'));
+
+  const list = document.createElement('div');
+  list.className = 'wizard-options';
+
+  options.forEach((option, index) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'form-check';
+
+    const input = document.createElement('input');
+    input.className = 'form-check-input';
+    input.type = multiple ? 'checkbox' : 'radio';
+    input.id = `wizard-${step}-${index}`;
+    input.name = `inquiry.${step}`;
+    input.value = option.id;
+    input.setAttribute('aria-describedby', `wizard-${step}-feedback`);
+
+    const label = document.createElement('label');
+    label.className = 'form-check-label';
+    label.htmlFor = input.id;
+    label.textContent = option.label;
+
+    wrapper.append(input, label);
+    list.appendChild(wrapper);
+  });
+
+  list.addEventListener('change', () => setChoiceStepState(fieldset, true));
+  fieldset.appendChild(list);
+
+  if (!message) {
+    const hint = document.createElement('small');
+    hint.className = 'form-text text-muted';
+    hint.textContent = window.translate(`wizard.hint.${step}`);
+    fieldset.appendChild(hint);
+  }
+
+  // Empty while the step is valid, so the link only reads an actual error
+  const feedback = document.createElement('div');
+  feedback.className = 'invalid-feedback';
+  feedback.id = `wizard-${step}-feedback`;
+  fieldset.appendChild(feedback);
+
+  return fieldset;
+}
+
+/**
+ * Show a choice step as valid, or invalid with its message
+ */
+function setChoiceStepState(fieldset, isValid) {
+  const { message } = WIZARD_CHOICE_STEPS[fieldset.dataset.wizardStep];
+
+  fieldset.querySelector('.wizard-options').classList.toggle('is-invalid', !isValid);
+  fieldset.querySelectorAll('.form-check-input').forEach(input => {
+    input.classList.toggle('is-invalid', !isValid);
+    if (isValid) {
+      input.removeAttribute('aria-invalid');
+    } else {
+      input.setAttribute('aria-invalid', 'true');
+    }
+  });
+  fieldset.querySelector('.invalid-feedback').textContent = isValid ? '' : window.translate(message);
+}
+
+/**
+ * Values chosen in a choice step
+ */
+function getChosenValues(step) {
+  return Array.from(wizardForm.querySelectorAll(`[name="inquiry.${step}"]:checked`), input => input.value);
+}
+
+/**
+ * Labels of the values chosen in a choice step
+ */
+function getChosenLabels(step) {
+  return Array.from(
+    wizardForm.querySelectorAll(`[name="inquiry.${step}"]:checked`),
+    input => wizardForm.querySelector(`label[for="${input.id}"]`).textContent
+  );
+}
+
+/**
+ * Build the progress indicator: the step list and a live "Step n of m" line
+ */
+function createProgress() {
+  const progress = document.createElement('div');
+  progress.className = 'wizard-progress mb-4';
+
+  const status = document.createElement('p');
+  status.className = 'wizard-progress-status small text-muted mb-2';
+  status.setAttribute('aria-live', 'polite');
+
+  const list = document.createElement('ol');
+  list.className = 'wizard-progress-steps';
+
+  WIZARD_STEPS.forEach(step => {
+    const item = document.createElement('li');
+    item.textContent = window.translate(`wizard.step.${step}`);
+    list.appendChild(item);
+  });
+
+  progress.append(status, list);
+  return progress;
+}
+
+/**
+ * Build the Back and Next buttons
+ */
+function createNavigation() {
+  const nav = document.createElement('div');
+  nav.className = 'wizard-nav d-flex gap-2 mb-3';
+
+  const back = document.createElement('button');
+  back.type = 'button';
+  back.className = 'btn btn-outline-secondary';
+  back.textContent = window.translate('wizard.back');
+  back.addEventListener('click', goBack);
+
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'btn btn-primary ms-auto';
+  next.textContent = window.translate('wizard.next');
+  next.addEventListener('click', goNext);
+
+  nav.append(back, next);
+  return { nav, back, next };
+}
+
+/**
+ * Add a term, its description and an Edit button to the review list
+ */
+function appendReviewItem(list, term, description, stepIndex) {
+  const dt = document.createElement('dt');
+  dt.textContent = term;
+
+  const edit = document.createElement('button');
+  edit.type = 'button';
+  edit.className = 'btn btn-link btn-sm p-0 ms-2';
+  edit.textContent = window.translate('wizard.edit');
+  edit.setAttribute('aria-label', `${window.translate('wizard.edit')}: ${term}`);
+  edit.addEventListener('click', () => goToStep(stepIndex));
+  dt.appendChild(edit);
+
+  const dd = document.createElement('dd');
+  dd.className = 'wizard-review-value';
+  dd.textContent = description;
+
+  list.append(dt, dd);
+}
+
+/**
+ * Fill the review step with the current choices and contact details
+ */
+function renderReview() {
+  const list = wizardElements.review.querySelector('dl');
+  list.replaceChildren();
+
+  Object.keys(WIZARD_CHOICE_STEPS).forEach(step => {
+    const labels = getChosenLabels(step);
+    appendReviewItem(
+      list,
+      window.translate(`wizard.step.${step}`),
+      labels.length > 0 ? labels.join(', ') : window.translate('wizard.none'),
+      WIZARD_STEPS.indexOf(step)
+    );
+  });
+
+  const contactIndex = WIZARD_STEPS.indexOf('contact');
+  (wizardHooks.describeContact ? wizardHooks.describeContact() : []).forEach(({ label, value }) => {
+    appendReviewItem(list, label, value || window.translate('wizard.none'), contactIndex);
+  });
+}
+
+/**
+ * Show one step and update the progress indicator and buttons
+ */
+function showStep(index, { focus = true } = {}) {
+  const step = WIZARD_STEPS[index];
+  const isReview = step === 'review';
+  const { steps, progress, back, next, submit } = wizardElements;
+
+  wizardCurrentStep = index;
+
+  if (isReview) {
+    renderReview();
+  }
+
+  WIZARD_STEPS.forEach((name, i) => {
+    steps[name].hidden = i !== index;
+  });
+
+  back.hidden = wizardHistory.length === 0;
+  next.hidden = isReview;
+  if (submit) {
+    submit.hidden = !isReview;
+  }
+
+  progress.querySelector('.wizard-progress-status').textContent = window.translate('wizard.progress', {
+    current: index + 1,
+    total: WIZARD_STEPS.length,
+    title: window.translate(`wizard.step.${step}`)
+  });
+  progress.querySelectorAll('.wizard-progress-steps li').forEach((item, i) => {
+    item.classList.toggle('is-complete', i < index);
+    item.classList.toggle('is-current', i === index);
+    if (i === index) {
+      item.setAttribute('aria-current', 'step');
+    } else {
+      item.removeAttribute('aria-current');
+    }
+  });
+
+  if (focus) {
+    steps[step].querySelector('.wizard-step-title').focus();
+  }
+}
+
+/**
+ * Validate one step, marking what is missing
+ */
+function validateStep(index) {
+  const step = WIZARD_STEPS[index];
+
+  if (step === 'contact') {
+    return wizardHooks.validateContact ? wizardHooks.validateContact() : true;
+  }
+
+  const choice = WIZARD_CHOICE_STEPS[step];
+  if (!choice || !choice.message) return true;
+
+  const isValid = getChosenValues(step).length > 0;
+  setChoiceStepState(wizardElements.steps[step], isValid);
+  return isValid;
+}
+
+/**
+ * Move to the next step if the current one is valid
+ */
+function goNext() {
+  if (!validateStep(wizardCurrentStep)) {
+    const invalid = wizardElements.steps[WIZARD_STEPS[wizardCurrentStep]].querySelector('input.is-invalid, textarea.is-invalid');
+    if (invalid) invalid.focus();
+    return false;
+  }
+
+  wizardHistory.push(wizardCurrentStep);
+  showStep(Math.min(wizardCurrentStep + 1, WIZARD_STEPS.length - 1));
+  return true;
+}
+
+/**
+ * Return to the step visited before this one
+ */
+function goBack() {
+  if (wizardHistory.length === 0) return;
+  showStep(wizardHistory.pop());
+}
+
+/**
+ * Jump to a step (from the review), remembering where we came from
+ */
+function goToStep(index) {
+  wizardHistory.push(wizardCurrentStep);
+  showStep(index);
+}
+
+/**
+ * Validate every step before submitting; shows the first invalid one
+ */
+function validateWizard() {
+  for (let index = 0; index < WIZARD_STEPS.length; index++) {
+    if (!validateStep(index)) {
+      if (index !== wizardCurrentStep) {
+        goToStep(index);
+      }
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * The choices as a structured object
+ */
+function getInquiry() {
+  const inquiry = {};
+
+  Object.entries(WIZARD_CHOICE_STEPS).forEach(([step, { key, multiple }]) => {
+    const values = getChosenValues(step);
+    inquiry[key] = multiple ? values : (values[0] || null);
+  });
+
+  return inquiry;
+}
+
+/**
+ * Check the choices of a previously built inquiry
+ */
+function restoreInquiry(inquiry) {
+  if (!inquiry || !wizardElements) return;
+
+  Object.entries(WIZARD_CHOICE_STEPS).forEach(([step, { key }]) => {
+    const chosen = [].concat(inquiry[key] || []);
+    wizardForm.querySelectorAll(`[name="inquiry.${step}"]`).forEach(input => {
+      input.checked = chosen.includes(input.value);
+    });
+  });
+}
+
+/**
+ * Clear the choices and start again from the first step
+ */
+function resetWizard() {
+  if (!wizardElements) return;
+
+  wizardForm.querySelectorAll('[name^="inquiry."]').forEach(input => {
+    input.checked = false;
+  });
+  Object.keys(WIZARD_CHOICE_STEPS).forEach(step => setChoiceStepState(wizardElements.steps[step], true));
+
+  wizardHistory = [];
+  showStep(0, { focus: false });
+}
+
+/**
+ * Remove the wizard and show the plain form again
+ */
+function teardownWizard() {
+  if (!wizardElements) return;
+
+  wizardElements.generated.forEach(element => element.remove());
+  wizardElements.steps.contact.hidden = false;
+  if (wizardElements.submit) {
+    wizardElements.submit.hidden = false;
+  }
+  wizardForm.classList.remove('wizard-active');
+  wizardElements = null;
+}
+
+/**
+ * Build (or rebuild, keeping the choices and the current step) the wizard
+ * around #contact-details, or remove it when the wizard is not enabled
+ *
+ * @param {HTMLFormElement} form - The contact form
+ * @param {Object} [config] - contactForm.wizard from content.json
+ * @param {Array} [services] - content.services
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.validateContact] - Validates the contact details step
+ * @param {Function} [hooks.describeContact] - Returns [{ label, value }] for the review
+ * @returns {boolean} Whether the wizard is active
+ */
+function initWizard(form, config, services, hooks = {}) {
+  const contactDetails = form.querySelector('#contact-details');
+  const previous = wizardElements ? getInquiry() : null;
+
+  teardownWizard();
+
+  if (!config || !config.enabled || !contactDetails) {
+    wizardHistory = [];
+    wizardCurrentStep = 0;
+    return false;
+  }
+
+  wizardForm = form;
+  wizardHooks = hooks;
+
+  const options = getWizardOptions(config, services);
+  const progress = createProgress();
+  const { nav, back, next } = createNavigation();
+  const contactHeading = createStepHeading('contact', 'h3');
+  const review = document.createElement('section');
+  review.className = 'wizard-step';
+  review.dataset.wizardStep = 'review';
+  review.append(createStepHeading('review', 'h3'), document.createElement('dl'));
+
+  const steps = { contact: contactDetails, review };
+  Object.keys(WIZARD_CHOICE_STEPS).forEach(step => {
+    steps[step] = createChoiceStep(step, options[step]);
+  });
+
+  contactDetails.before(progress, steps.service, steps.compliance, steps.budget, steps.timeline);
+  contactDetails.prepend(contactHeading);
+  contactDetails.after(review, nav);
+
+  const submit = form.querySelector('button[type="submit"]');
+  wizardElements = {
+    steps,
+    progress,
+    back,
+    next,
+    review,
+    submit,
+    generated: [progress, steps.service, steps.compliance, steps.budget, steps.timeline, contactHeading, review, nav]
+  };
+  form.classList.add('wizard-active');
+
+  restoreInquiry(previous);
+  showStep(Math.min(wizardCurrentStep, WIZARD_STEPS.length - 1), { focus: false });
+
+  return true;
+}
+
+// Export for use in other modules
+window.contactWizard = {
+  init: initWizard,
+  isActive: () => wizardElements !== null,
+  isOnReview: () => WIZARD_STEPS[wizardCurrentStep] === 'review',
+  next: goNext,
+  validate: validateWizard,
+  getInquiry,
+  restore: restoreInquiry,
+  reset: resetWizard
+};
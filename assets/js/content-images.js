@@ -0,0 +1,86 @@
+/**
+ * Content Images Module
+ * Loading states for images rendered from content with data-bind-image
+ * (see components.js). Each image sits in an .image-frame that shows the
+ * image's dominant color (imageColor in content.json) and an icon while it
+ * loads; the image fades in once loaded. If it cannot load (a missing file,
+ * a 404) it is removed and the icon stays, labelled with the image's alt text.
+ *
+ *   <div class="image-frame" data-bind-placeholder="imageColor">
+ *     <img data-bind-image="image" data-bind-alt="imageAlt" alt=""
+ *          width="1200" height="800" sizes="100vw" loading="lazy">
+ *     <i class="bi bi-image image-fallback" aria-hidden="true"></i>
+ *   </div>
+ */
+
+/**
+ * Show a loaded image
+ */
+function markImageLoaded(image) {
+  const frame = image.closest('.image-frame');
+  if (frame) frame.classList.add('is-loaded');
+}
+
+/**
+ * Replace an image that failed to load with its frame's icon
+ */
+function markImageFailed(image) {
+  const frame = image.closest('.image-frame');
+  if (!frame) return;
+
+  if (image.alt) {
+    frame.setAttribute('role', 'img');
+    frame.setAttribute('aria-label', image.alt);
+  }
+  frame.classList.remove('is-loaded');
+  frame.classList.add('is-broken');
+  image.remove();
+
+  console.warn('[Security] Image could not be loaded:', image.getAttribute('src'));
+}
+
+/**
+ * Settle images that finished before this script ran, or have no source
+ */
+function checkContentImages() {
+  document.querySelectorAll('.image-frame img').forEach(image => {
+    if (!image.getAttribute('src')) {
+      markImageFailed(image);
+    } else if (image.complete) {
+      if (image.naturalWidth > 0) {
+        markImageLoaded(image);
+      } else {
+        markImageFailed(image);
+      }
+    }
+  });
+}
+
+/**
+ * Initialize image loading states
+ */
+function initContentImages() {
+  // load and error do not bubble, but they can be caught on the way down
+  document.addEventListener('load', event => {
+    if (event.target.matches && event.target.matches('.image-frame img')) {
+      markImageLoaded(event.target);
+    }
+  }, true);
+
+  document.addEventListener('error', event => {
+    if (event.target.matches && event.target.matches('.image-frame img')) {
+      markImageFailed(event.target);
+    }
+  }, true);
+
+  // Runs after every content render, which replaces the images
+  window.contentStore.subscribe(null, checkContentImages);
+  checkContentImages();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initContentImages);
+} else {
+  initContentImages();
+}
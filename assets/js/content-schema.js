@@ -0,0 +1,471 @@
+/**
+ * Content Schema Module
+ * Declares the expected shape of content.json and validates it section by section
+ * Security: Content is type-checked and URLs are scheme-checked before any page uses it
+ *
+ * Runs in the browser (exposed on window) and in Node (module.exports),
+ * see tools/validate-content.js
+ */
+
+/**
+ * Schema node helpers
+ */
+const stringField = (options = {}) => ({ type: 'string', ...options });
+const numberField = (options = {}) => ({ type: 'number', ...options });
+const booleanField = (options = {}) => ({ type: 'boolean', ...options });
+const urlField = (options = {}) => ({ type: 'string', format: 'url', ...options });
+const colorField = (options = {}) => ({ type: 'string', format: 'color', ...options });
+const objectField = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const arrayField = (items, options = {}) => ({ type: 'array', items, ...options });
+
+/**
+ * Image file in assets/images/, never a path or URL
+ */
+const IMAGE_FILE_PATTERN = '^[\\w-]+\\.(?:jpe?g|png|webp|avif|gif)$';
+
+/**
+ * Brand color tokens for one theme, see assets/js/theme.js
+ */
+const THEME_TOKENS_SCHEMA = {
+  primary: colorField(),
+  primaryHover: colorField(),
+  text: colorField(),
+  mutedText: colorField(),
+  surface: colorField(),
+  mutedSurface: colorField()
+};
+
+/**
+ * One choice in a step of the contact wizard, see assets/js/contact-wizard.js
+ */
+const WIZARD_OPTION_SCHEMA = objectField({
+  id: stringField({ required: true, pattern: '^[a-z0-9][a-z0-9-]*$' }),
+  label: stringField({ required: true })
+});
+
+/**
+ * Heading and lead text of a page or section
+ */
+const PAGE_HEADING_SCHEMA = objectField({
+  title: stringField({ required: true }),
+  subtitle: stringField()
+});
+
+/**
+ * Call-to-action section at the bottom of a page
+ */
+const PAGE_CTA_SCHEMA = objectField({
+  title: stringField({ required: true }),
+  text: stringField(),
+  cta_primary: objectField({ text: stringField({ required: true }), href: urlField({ required: true }) }),
+  cta_secondary: objectField({ text: stringField({ required: true }), href: urlField({ required: true }) })
+});
+
+/**
+ * Case study of a portfolio project, see assets/js/project-detail.js
+ */
+const CASE_STUDY_SCHEMA = objectField({
+  sector: stringField(),
+  challenge: stringField(),
+  approach: arrayField(stringField()),
+  outcomes: arrayField(objectField({
+    value: stringField({ required: true }),
+    label: stringField({ required: true })
+  })),
+  technologies: arrayField(stringField()),
+  gallery: arrayField(objectField({
+    image: stringField({ required: true, pattern: IMAGE_FILE_PATTERN }),
+    alt: stringField({ required: true })
+  }))
+});
+
+/**
+ * Declared schema for every content section.
+ * Sections with a "default" are replaced by it when invalid or missing,
+ * all other invalid sections are dropped.
+ */
+const CONTENT_SCHEMA = {
+  site: objectField({
+    title: stringField({ required: true }),
+    author: stringField(),
+    email: stringField({ required: true }),
+    description: stringField(),
+    keywords: stringField(),
+    location: stringField(),
+    tagline: stringField()
+  }, {
+    required: true,
+    default: {
+      title: 'Ifreelance4u',
+      email: 'info.ifreelance4u@gmail.com'
+    }
+  }),
+
+  navigation: arrayField(objectField({
+    name: stringField({ required: true }),
+    href: urlField({ required: true }),
+    active: booleanField()
+  }), { required: true, default: [] }),
+
+  social: objectField({
+    github: urlField(),
+    linkedin: urlField(),
+    twitter: urlField(),
+    email: urlField()
+  }, { default: {} }),
+
+  footer: objectField({
+    copyright: stringField({ required: true }),
+    links: arrayField(objectField({
+      name: stringField({ required: true }),
+      href: urlField({ required: true })
+    }), { required: true })
+  }, {
+    default: {
+      copyright: '© 2026 Ifreelance4u. All rights reserved.',
+      links: []
+    }
+  }),
+
+  home: objectField({
+    hero: objectField({
+      title: stringField({ required: true }),
+      subtitle: stringField(),
+      description: stringField(),
+      cta_primary: objectField({ text: stringField({ required: true }), href: urlField({ required: true }) }),
+      cta_secondary: objectField({ text: stringField({ required: true }), href: urlField({ required: true }) })
+    }),
+    expertise: arrayField(objectField({
+      icon: stringField({ required: true }),
+      title: stringField({ required: true }),
+      description: stringField({ required: true })
+    })),
+    stats: arrayField(objectField({
+      number: stringField({ required: true }),
+      label: stringField({ required: true }),
+      icon: stringField({ required: true })
+    }))
+  }),
+
+  about: objectField({
+    introduction: objectField({
+      title: stringField({ required: true }),
+      subtitle: stringField(),
+      content: stringField({ required: true })
+    }),
+    journey: objectField({ title: stringField({ required: true }), content: stringField({ required: true }) }),
+    drive: objectField({ title: stringField({ required: true }), content: stringField({ required: true }) }),
+    expertise: arrayField(stringField()),
+    sal_framework: arrayField(objectField({
+      phase: stringField({ required: true }),
+      title: stringField({ required: true }),
+      description: stringField({ required: true })
+    }))
+  }),
+
+  // Headings and calls to action of pages whose own section is a list
+  pages: objectField({
+    portfolio: objectField({ header: PAGE_HEADING_SCHEMA, cta: PAGE_CTA_SCHEMA }),
+    services: objectField({ header: PAGE_HEADING_SCHEMA, offer: PAGE_HEADING_SCHEMA, cta: PAGE_CTA_SCHEMA }),
+    about: objectField({ expertise: PAGE_HEADING_SCHEMA, sal_framework: PAGE_HEADING_SCHEMA, cta: PAGE_CTA_SCHEMA }),
+    contact: objectField({ header: PAGE_HEADING_SCHEMA, formTitle: stringField() })
+  }),
+
+  services: arrayField(objectField({
+    id: stringField({ required: true }),
+    title: stringField({ required: true }),
+    icon: stringField({ required: true }),
+    description: stringField({ required: true }),
+    features: arrayField(stringField(), { required: true }),
+    pricing: stringField(),
+    image: stringField({ pattern: IMAGE_FILE_PATTERN }),
+    imageAlt: stringField(),
+    imageColor: colorField()
+  })),
+
+  theme: objectField({
+    light: objectField(THEME_TOKENS_SCHEMA),
+    dark: objectField(THEME_TOKENS_SCHEMA)
+  }),
+
+  // Widths of the responsive variants of every content image
+  images: objectField({
+    widths: arrayField(numberField())
+  }),
+
+  portfolio: arrayField(objectField({
+    id: numberField({ required: true }),
+    title: stringField({ required: true }),
+    category: stringField({ required: true }),
+    // Completion date, YYYY-MM or YYYY-MM-DD; the "newest" sort uses it
+    date: stringField({ pattern: '^\\d{4}-(?:0[1-9]|1[0-2])(?:-(?:0[1-9]|[12]\\d|3[01]))?$' }),
+    description: stringField({ required: true }),
+    icon: stringField(),
+    image: stringField({ pattern: IMAGE_FILE_PATTERN }),
+    imageAlt: stringField(),
+    imageColor: colorField(),
+    tags: arrayField(stringField(), { required: true }),
+    caseStudy: CASE_STUDY_SCHEMA
+  })),
+
+  portfolioFilters: objectField({
+    allLabel: stringField(),
+    emptyCategories: stringField({ enum: ['hide', 'disable'] }),
+    categories: arrayField(objectField({
+      id: stringField({ required: true }),
+      label: stringField({ required: true })
+    }))
+  }),
+
+  contactForm: objectField({
+    fields: arrayField(objectField({
+      name: stringField({ required: true, pattern: '^[a-z][a-z0-9_]*$' }),
+      label: stringField({ required: true }),
+      type: stringField({ required: true, enum: ['text', 'email', 'tel', 'textarea'] }),
+      required: booleanField(),
+      minLength: numberField(),
+      maxLength: numberField(),
+      pattern: stringField({ format: 'regexp' }),
+      placeholder: stringField(),
+      autocomplete: stringField(),
+      rows: numberField(),
+      counter: booleanField(),
+      messages: objectField({
+        required: stringField(),
+        length: stringField(),
+        pattern: stringField(),
+        type: stringField()
+      })
+    })),
+    wizard: objectField({
+      enabled: booleanField(),
+      compliance: arrayField(WIZARD_OPTION_SCHEMA),
+      budgets: arrayField(WIZARD_OPTION_SCHEMA),
+      timelines: arrayField(WIZARD_OPTION_SCHEMA)
+    }),
+    attachments: objectField({
+      enabled: booleanField(),
+      maxFiles: numberField(),
+      maxTotalSize: numberField(),
+      accept: arrayField(stringField({ pattern: '^[a-z0-9]+$' }))
+    }),
+    botDefense: objectField({
+      proofOfWork: booleanField(),
+      difficulty: numberField(),
+      minSubmitTime: numberField()
+    }),
+    rateLimit: objectField({
+      algorithm: stringField({ enum: ['sliding-window', 'token-bucket'] }),
+      limit: numberField(),
+      window: numberField(),
+      storage: stringField({ enum: ['local', 'session', 'memory'] }),
+      backoff: objectField({
+        after: numberField(),
+        base: numberField(),
+        max: numberField()
+      })
+    }),
+    draft: objectField({
+      enabled: booleanField(),
+      storage: stringField({ enum: ['session', 'local'] }),
+      debounce: numberField(),
+      expiry: numberField()
+    }),
+    transport: objectField({
+      type: stringField({ required: true, enum: ['json', 'form', 'mailto'] }),
+      endpoint: urlField(),
+      timeout: numberField(),
+      retries: numberField(),
+      retryDelay: numberField(),
+      csrfHeader: stringField(),
+      mailtoFallback: booleanField()
+    })
+  })
+};
+
+/**
+ * URL schemes allowed in content and, by default, in sanitized markup
+ */
+const ALLOWED_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+/**
+ * Check a URL for an allowed scheme. Also used by the sanitizer and the
+ * bindings in components.js. The value is normalized the way browsers do
+ * before resolving it: entities are already decoded by the parser, and
+ * control characters and whitespace are stripped, so "java&#x09;script:" and
+ * " JavaScript:" are both caught. Relative URLs and fragments have no scheme
+ * and are always allowed.
+ *
+ * @param {string} value - URL as written in content or an attribute
+ * @param {string[]} [allowedSchemes] - Schemes with their colon, e.g. "https:"
+ * @returns {boolean}
+ */
+function isAllowedContentUrl(value, allowedSchemes = ALLOWED_URL_SCHEMES) {
+  if (typeof value !== 'string') return false;
+
+  const normalized = value.replace(/[\u0000- \u007F-\u009F]/g, '').toLowerCase();
+  const schemeMatch = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  return !schemeMatch || allowedSchemes.includes(`${schemeMatch[1]}:`);
+}
+
+/**
+ * Check a CSS color: hex, rgb()/rgba() or hsl()/hsla() with plain numbers only,
+ * so a token can never smuggle url() or other functions into a stylesheet
+ */
+function isAllowedContentColor(value) {
+  return /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ||
+    /^(?:rgb|rgba|hsl|hsla)\([0-9.,%\s/]+\)$/i.test(value);
+}
+
+/**
+ * Check that a pattern compiles with the Unicode flag used by form-validation.js
+ */
+function isValidContentPattern(value) {
+  try {
+    new RegExp(value, 'u');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Describe the JSON type of a value for error messages
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node, appending errors as { path, message }
+ */
+function validateValue(value, schema, path, errors) {
+  if (value === undefined) {
+    if (schema.required) {
+      errors.push({ path, message: 'is required' });
+    }
+    return;
+  }
+
+  const actualType = describeType(value);
+  if (actualType !== schema.type) {
+    errors.push({ path, message: `expected ${schema.type}, got ${actualType}` });
+    return;
+  }
+
+  if (schema.format === 'url' && !isAllowedContentUrl(value)) {
+    errors.push({ path, message: 'URL scheme is not allowed' });
+  }
+
+  if (schema.format === 'color' && !isAllowedContentColor(value)) {
+    errors.push({ path, message: 'expected a hex, rgb() or hsl() color' });
+  }
+
+  if (schema.format === 'regexp' && !isValidContentPattern(value)) {
+    errors.push({ path, message: 'invalid regular expression' });
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push({ path, message: `does not match ${schema.pattern}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      validateValue(item, schema.items, `${path}[${index}]`, errors);
+    });
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    Object.keys(schema.properties).forEach(key => {
+      validateValue(value[key], schema.properties[key], `${path}.${key}`, errors);
+    });
+  }
+}
+
+/**
+ * Format a validation error, e.g. "services[2].features: expected array, got string"
+ */
+function formatValidationError(error) {
+  return `${error.path}: ${error.message}`;
+}
+
+/**
+ * Validate content section by section.
+ * Invalid sections are replaced by their default or dropped, so one bad
+ * section never takes the rest of the site down with it.
+ *
+ * @param {Object} content - Parsed content.json
+ * @returns {{ content: Object, errors: Array, defaulted: string[], dropped: string[] }}
+ */
+function validateContent(content) {
+  const result = { content: {}, errors: [], defaulted: [], dropped: [] };
+
+  if (describeType(content) !== 'object') {
+    result.errors.push({ path: '(root)', message: `expected object, got ${describeType(content)}` });
+    content = {};
+  }
+
+  // Sections without a schema are passed through untouched
+  Object.keys(content).forEach(section => {
+    if (!CONTENT_SCHEMA[section]) {
+      result.content[section] = content[section];
+    }
+  });
+
+  Object.keys(CONTENT_SCHEMA).forEach(section => {
+    const schema = CONTENT_SCHEMA[section];
+    const sectionErrors = [];
+
+    validateValue(content[section], schema, section, sectionErrors);
+
+    if (sectionErrors.length === 0) {
+      if (content[section] !== undefined) {
+        result.content[section] = content[section];
+      } else if (schema.default !== undefined) {
+        result.content[section] = JSON.parse(JSON.stringify(schema.default));
+      }
+      return;
+    }
+
+    result.errors.push(...sectionErrors);
+
+    if (schema.default !== undefined) {
+      result.content[section] = JSON.parse(JSON.stringify(schema.default));
+      result.defaulted.push(section);
+    } else {
+      result.dropped.push(section);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Build fallback content from the section defaults
+ */
+function getDefaultContent() {
+  return validateContent({}).content;
+}
+
+// Export for Node (tools/validate-content.js) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONTENT_SCHEMA,
+    validateContent,
+    validateValue,
+    isAllowedContentUrl,
+    formatValidationError,
+    getDefaultContent
+  };
+} else {
+  window.validateContent = validateContent;
+  window.isAllowedContentUrl = isAllowedContentUrl;
+  window.formatValidationError = formatValidationError;
+  window.getDefaultContent = getDefaultContent;
+}
@@ -0,0 +1,96 @@
+/**
+ * File Signatures Module
+ * Magic-byte checks for contact form attachments: a file's first bytes must
+ * match its extension, and executables are rejected whatever their name
+ *
+ * Runs in the browser (exposed on window, used by contact-attachments.js)
+ * and in Node (module.exports, used by server/contact-server.js)
+ */
+
+/**
+ * Known file types and the byte signatures their content must start with.
+ * null means a text file, checked by isPlainText() instead.
+ */
+const ATTACHMENT_SIGNATURES = {
+  pdf: [[0x25, 0x50, 0x44, 0x46, 0x2D]],
+  png: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+  jpg: [[0xFF, 0xD8, 0xFF]],
+  jpeg: [[0xFF, 0xD8, 0xFF]],
+  // Office Open XML documents are ZIP archives
+  docx: [[0x50, 0x4B, 0x03, 0x04]],
+  xlsx: [[0x50, 0x4B, 0x03, 0x04]],
+  pptx: [[0x50, 0x4B, 0x03, 0x04]],
+  // Legacy Office documents are OLE compound files
+  doc: [[0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]],
+  xls: [[0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]],
+  txt: null,
+  csv: null,
+  md: null
+};
+
+/**
+ * Executables and scripts, rejected whatever the extension
+ */
+const EXECUTABLE_SIGNATURES = [
+  [0x4D, 0x5A], // Windows PE (MZ)
+  [0x7F, 0x45, 0x4C, 0x46], // ELF
+  [0xFE, 0xED, 0xFA, 0xCE], // Mach-O
+  [0xFE, 0xED, 0xFA, 0xCF],
+  [0xCE, 0xFA, 0xED, 0xFE],
+  [0xCF, 0xFA, 0xED, 0xFE],
+  [0xCA, 0xFE, 0xBA, 0xBE], // Mach-O universal binary
+  [0x23, 0x21] // Script with a shebang (#!)
+];
+
+/**
+ * Check whether bytes start with a signature
+ */
+function startsWithSignature(bytes, signature) {
+  return signature.length <= bytes.length && signature.every((byte, index) => bytes[index] === byte);
+}
+
+/**
+ * Check that bytes look like UTF-8 text
+ */
+function isPlainText(bytes) {
+  if (bytes.includes(0)) return false;
+
+  try {
+    // stream: true lets a character cut off at the end of the sample through
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check the first bytes of a file against its extension
+ *
+ * @param {string} extension - Lower-case extension without the dot
+ * @param {Uint8Array} bytes - Start of the file (4 KB is enough)
+ * @returns {string} "ok", "unknown" (type not listed), "empty", "executable" or "mismatch"
+ */
+function checkFileSignature(extension, bytes) {
+  if (!Object.prototype.hasOwnProperty.call(ATTACHMENT_SIGNATURES, extension)) return 'unknown';
+  if (bytes.length === 0) return 'empty';
+  if (EXECUTABLE_SIGNATURES.some(signature => startsWithSignature(bytes, signature))) return 'executable';
+
+  const signatures = ATTACHMENT_SIGNATURES[extension];
+  const matchesType = signatures === null
+    ? isPlainText(bytes)
+    : signatures.some(signature => startsWithSignature(bytes, signature));
+
+  return matchesType ? 'ok' : 'mismatch';
+}
+
+// Export for Node (server) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ATTACHMENT_SIGNATURES,
+    checkFileSignature
+  };
+} else {
+  window.ATTACHMENT_SIGNATURES = ATTACHMENT_SIGNATURES;
+  window.checkFileSignature = checkFileSignature;
+}
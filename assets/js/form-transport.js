@@ -0,0 +1,335 @@
+/**
+ * Form Transport Module
+ * Delivers contact form submissions using the adapter configured in the
+ * contactForm.transport section of content.json:
+ *   json   - POST application/json, CSRF token in a request header
+ *   form   - POST application/x-www-form-urlencoded, for static-form services
+ *   mailto - opens the visitor's email app addressed to site.email
+ * Submissions with attachments are sent as multipart/form-data by json and
+ * form transports, with the same fields and headers as without them; mailto
+ * cannot carry them.
+ * Requests time out through AbortController and are retried on 5xx and
+ * network errors. Field errors returned by the server are mapped back onto
+ * the form by contact-form.js. Every submission carries its submission_id as
+ * an Idempotency-Key so a server can drop a message it has already received.
+ */
+
+const DEFAULT_TRANSPORT_CONFIG = {
+  type: 'mailto',
+  endpoint: null,
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 1000,
+  csrfHeader: 'X-CSRF-Token',
+  mailtoFallback: true
+};
+
+// Fields not posted by the form transport: static-form services are on
+// another origin, and only this site's server checks these
+const FORM_OMITTED_FIELDS = ['csrf_token', 'proof'];
+
+// Fields left out of the extra lines of a mailto body
+const MAILTO_OMITTED_FIELDS = ['name', 'email', 'message', 'csrf_token', 'submission_id', 'timestamp', 'proof'];
+
+/**
+ * Error raised when a submission could not be delivered.
+ * fieldErrors maps field names to messages when the server rejected input;
+ * retryable is true for timeouts, network errors and 5xx responses.
+ */
+class TransportError extends Error {
+  constructor(message, { status = 0, fieldErrors = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Wait before the next retry
+ */
+function waitBeforeRetry(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * fetch() that is aborted after timeout milliseconds
+ */
+async function fetchWithTimeout(url, options, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal, credentials: 'same-origin' });
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? 'Request timed out' : 'Network error';
+    throw new TransportError(reason, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Read field errors from a rejection body. Both shapes are accepted:
+ *   { "errors": { "email": "Invalid address" } }
+ *   { "errors": [{ "field": "email", "message": "Invalid address" }] }
+ */
+async function readFieldErrors(response) {
+  let body;
+  try {
+    body = await response.json();
+  } catch (error) {
+    return null;
+  }
+
+  const errors = body && body.errors;
+  if (!errors || typeof errors !== 'object') return null;
+
+  const entries = Array.isArray(errors)
+    ? errors.map(error => [error && error.field, error && error.message])
+    : Object.entries(errors);
+
+  const fieldErrors = {};
+  entries.forEach(([field, message]) => {
+    if (typeof field === 'string' && typeof message === 'string') {
+      fieldErrors[field] = message;
+    }
+  });
+
+  return Object.keys(fieldErrors).length > 0 ? fieldErrors : null;
+}
+
+/**
+ * Turn a non-2xx response into a TransportError
+ */
+async function toTransportError(response) {
+  const retryAfter = Number(response.headers.get('Retry-After')) || null;
+
+  return new TransportError(`Server responded with ${response.status}`, {
+    status: response.status,
+    fieldErrors: response.status === 400 || response.status === 422 ? await readFieldErrors(response) : null,
+    retryable: response.status >= 500,
+    retryAfter
+  });
+}
+
+/**
+ * Send a request, retrying with exponential backoff on retryable failures
+ */
+async function sendWithRetry(url, options, config) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetchWithTimeout(url, options, config.timeout);
+      if (response.ok) return response;
+      throw await toTransportError(response);
+    } catch (error) {
+      if (!error.retryable || attempt >= config.retries) throw error;
+
+      const wait = config.retryDelay * 2 ** attempt;
+      console.warn(`[Security] ${error.message}, retrying in ${wait}ms (${attempt + 1}/${config.retries})`);
+      await waitBeforeRetry(wait);
+    }
+  }
+}
+
+/**
+ * Split the CSRF token off the submitted fields
+ */
+function splitCsrfToken(data) {
+  const { csrf_token: csrfToken, ...fields } = data;
+  return { csrfToken, fields };
+}
+
+/**
+ * Check whether a flattened field name is one the form transport leaves out
+ */
+function isFormOmittedField(name) {
+  return FORM_OMITTED_FIELDS.some(omitted => name === omitted || name.startsWith(`${omitted}.`));
+}
+
+/**
+ * Check whether a submission carries files
+ */
+function hasAttachments(data) {
+  return Array.isArray(data.attachments) && data.attachments.length > 0;
+}
+
+/**
+ * Flatten a submission into [name, value] pairs for encodings without
+ * nesting: objects give dotted names (inquiry.budget) and arrays one pair per item
+ */
+function flattenFields(data, prefix = '') {
+  return Object.entries(data).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+
+    if (Array.isArray(value)) return value.map(item => [key, String(item)]);
+    if (value !== null && typeof value === 'object') return flattenFields(value, key);
+    return [[key, value === null || value === undefined ? '' : String(value)]];
+  });
+}
+
+/**
+ * Transport adapters: each one delivers data and resolves with { delivered, via }
+ */
+const TRANSPORT_ADAPTERS = {
+  async json(data, config) {
+    const { csrfToken, fields } = splitCsrfToken(data);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      // Lets the server answer field errors in the page's language
+      'Accept-Language': window.getLocale(),
+      [config.csrfHeader]: csrfToken
+    };
+
+    if (fields.submission_id) {
+      headers['Idempotency-Key'] = String(fields.submission_id);
+    }
+
+    await sendWithRetry(config.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(fields)
+    }, config);
+
+    return { delivered: true, via: 'json' };
+  },
+
+  async form(data, config) {
+    const body = new URLSearchParams();
+    flattenFields(data)
+      .filter(([name]) => !isFormOmittedField(name))
+      .forEach(([name, value]) => body.append(name, value));
+
+    await sendWithRetry(config.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        // Static-form services answer with JSON instead of a redirect
+        'Accept': 'application/json',
+        'Accept-Language': window.getLocale()
+      },
+      body
+    }, config);
+
+    return { delivered: true, via: 'form' };
+  },
+
+  async multipart(data, config) {
+    const { attachments = [], ...rest } = data;
+    const { csrfToken, fields } = splitCsrfToken(rest);
+    // A form endpoint is a static-form service on another origin, see FORM_OMITTED_FIELDS
+    const isForm = config.type === 'form';
+    const body = new FormData();
+
+    flattenFields(fields)
+      .filter(([name]) => !isForm || !isFormOmittedField(name))
+      .forEach(([name, value]) => body.append(name, value));
+    attachments.forEach(file => body.append('attachments', file, file.name));
+
+    // No Content-Type: the browser adds it with the multipart boundary
+    const headers = {
+      'Accept': 'application/json',
+      'Accept-Language': window.getLocale()
+    };
+
+    if (!isForm) {
+      headers[config.csrfHeader] = csrfToken;
+    }
+
+    if (fields.submission_id) {
+      headers['Idempotency-Key'] = String(fields.submission_id);
+    }
+
+    await sendWithRetry(config.endpoint, { method: 'POST', headers, body }, config);
+
+    return { delivered: true, via: 'multipart' };
+  },
+
+  async mailto(data, config) {
+    if (hasAttachments(data)) {
+      throw new TransportError('Attachments cannot be sent with the mailto transport');
+    }
+
+    // The address goes into the URL unencoded, so it must not carry ?, & or #
+    if (typeof config.email !== 'string' || !/^[^\s@?&#]+@[^\s@?&#]+$/.test(config.email)) {
+      throw new TransportError('No valid email address configured for the mailto transport');
+    }
+
+    const subject = window.translate('form.mailSubject', { name: data.name });
+    // Fields beyond name, email and message are listed as "field: value" lines
+    const extraFields = new Map();
+    flattenFields(data)
+      .filter(([name]) => !MAILTO_OMITTED_FIELDS.includes(name.split('.')[0]))
+      .forEach(([name, value]) => {
+        extraFields.set(name, extraFields.has(name) ? `${extraFields.get(name)}, ${value}` : value);
+      });
+    const extra = Array.from(extraFields, ([name, value]) => `${name}: ${value}`);
+    const body = [data.message, ...(extra.length > 0 ? ['', ...extra] : []), '', `${data.name} <${data.email}>`]
+      .join('\n');
+    const url = `mailto:${config.email}` +
+      `?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+    window.location.href = url;
+
+    // Nothing is sent until the visitor sends the email themselves
+    return { delivered: false, via: 'mailto' };
+  }
+};
+
+/**
+ * Create a transport from the contactForm.transport content section.
+ * json and form without an endpoint use mailto.
+ *
+ * @param {Object} [transportConfig] - contactForm.transport from content.json
+ * @param {string} [email] - site.email, used by the mailto adapter
+ * @returns {{ type: string, send: Function }}
+ */
+function createTransport(transportConfig = {}, email = null) {
+  const config = { ...DEFAULT_TRANSPORT_CONFIG, ...transportConfig, email };
+  const type = config.type !== 'mailto' && !config.endpoint ? 'mailto' : config.type;
+  const adapter = TRANSPORT_ADAPTERS[type];
+
+  if (!adapter) {
+    throw new TransportError(`Unknown transport type: ${type}`);
+  }
+
+  return {
+    type,
+
+    /**
+     * Deliver a submission. Failures that are not input errors fall back to
+     * mailto when mailtoFallback is set.
+     *
+     * @param {Object} data - Fields, csrf_token, submission_id and optional attachments (File[])
+     * @param {Object} [options]
+     * @param {boolean} [options.mailtoFallback] - Override the configured fallback
+     * @param {boolean} [options.queueable] - Throw retryable failures instead of
+     *   falling back, so the caller can queue the submission
+     */
+    async send(data, options = {}) {
+      const { mailtoFallback = config.mailtoFallback, queueable = false } = options;
+      const withFiles = hasAttachments(data);
+
+      try {
+        return await (withFiles && type !== 'mailto' ? TRANSPORT_ADAPTERS.multipart : adapter)(data, config);
+      } catch (error) {
+        const isInputError = error.fieldErrors || error.status === 429;
+        const willBeQueued = queueable && error.retryable;
+
+        // A mailto draft would silently drop the attachments
+        if (type !== 'mailto' && mailtoFallback && config.email && !isInputError && !willBeQueued && !withFiles) {
+          console.warn(`[Security] ${type} transport failed, falling back to mailto:`, error.message);
+          return TRANSPORT_ADAPTERS.mailto(data, config);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+// Export for use in other modules
+window.TransportError = TransportError;
+window.createTransport = createTransport;
@@ -0,0 +1,184 @@
+/**
+ * Form Validation Module
+ * Validates contact form values against the field declarations in the
+ * contactForm.fields section of content.json
+ * Patterns are compiled with the "u" flag, so Unicode property classes such as
+ * \p{L} (any letter) accept Arabic, accented and CJK names alike
+ *
+ * Runs in the browser (exposed on window) and in Node (module.exports),
+ * so a server can apply exactly the same rules
+ */
+
+/**
+ * Used when content.json declares no fields
+ */
+const DEFAULT_CONTACT_FIELDS = [
+  {
+    name: 'name',
+    label: 'Name',
+    type: 'text',
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    pattern: "^[\\p{L}\\p{M}\\s'’.-]+$",
+    autocomplete: 'name'
+  },
+  {
+    name: 'email',
+    label: 'Email',
+    type: 'email',
+    required: true,
+    maxLength: 254,
+    autocomplete: 'email'
+  },
+  {
+    name: 'message',
+    label: 'Message',
+    type: 'textarea',
+    required: true,
+    minLength: 10,
+    maxLength: 2000,
+    rows: 6,
+    counter: true
+  }
+];
+
+/**
+ * Names used by the form itself that a declared field may not take
+ */
+const RESERVED_FIELD_NAMES = ['csrf_token', 'website', 'privacy', 'submission_id', 'timestamp', 'inquiry', 'proof'];
+
+/**
+ * Built-in format checks per field type
+ */
+const FIELD_TYPE_PATTERNS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/u,
+  tel: /^\+?[\p{Nd}\s().-]{6,20}$/u
+};
+
+/**
+ * English messages used when neither the declaration nor a translate()
+ * function provides one
+ */
+const DEFAULT_VALIDATION_MESSAGES = {
+  'validation.required': 'This field is required',
+  'validation.length': 'Must be between {min} and {max} characters',
+  'validation.minLength': 'Must be at least {min} characters',
+  'validation.maxLength': 'Must be at most {max} characters',
+  'validation.pattern': 'Contains characters that are not allowed',
+  'validation.email': 'Please enter a valid email address',
+  'validation.tel': 'Please enter a valid phone number'
+};
+
+/**
+ * Fill {placeholders} in a default message
+ */
+function defaultValidationMessage(key, params = {}) {
+  const template = DEFAULT_VALIDATION_MESSAGES[key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Compile a declared pattern with Unicode semantics, or return null if it is invalid
+ */
+function compileFieldPattern(pattern) {
+  if (typeof pattern !== 'string') return null;
+
+  try {
+    return new RegExp(pattern, 'u');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a declared field name
+ */
+function isAllowedFieldName(name) {
+  return typeof name === 'string' && /^[a-z][a-z0-9_]*$/.test(name) && !RESERVED_FIELD_NAMES.includes(name);
+}
+
+/**
+ * Validate one value against its field declaration.
+ * Length is counted in characters (code points), not UTF-16 units.
+ *
+ * @param {string} value - Raw value; surrounding whitespace is ignored
+ * @param {Object} field - Declaration from contactForm.fields
+ * @param {Function} [translate] - (key, params) => message, for undeclared messages
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function validateFieldValue(value, field, translate = defaultValidationMessage) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  const length = Array.from(text).length;
+  const messages = field.messages || {};
+  const { minLength, maxLength } = field;
+
+  if (text === '') {
+    return field.required ? (messages.required || translate('validation.required')) : null;
+  }
+
+  if ((minLength !== undefined && length < minLength) || (maxLength !== undefined && length > maxLength)) {
+    if (messages.length) return messages.length;
+    if (minLength !== undefined && maxLength !== undefined) {
+      return translate('validation.length', { min: minLength, max: maxLength });
+    }
+    return minLength !== undefined
+      ? translate('validation.minLength', { min: minLength })
+      : translate('validation.maxLength', { max: maxLength });
+  }
+
+  const typePattern = FIELD_TYPE_PATTERNS[field.type];
+  if (typePattern && !typePattern.test(text)) {
+    return messages.type || translate(`validation.${field.type}`);
+  }
+
+  if (field.pattern !== undefined) {
+    const pattern = compileFieldPattern(field.pattern);
+    // A broken pattern rejects everything rather than letting anything through
+    if (!pattern || !pattern.test(text)) {
+      return messages.pattern || translate('validation.pattern');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate every declared field of a submission
+ *
+ * @param {Object} data - Submitted values keyed by field name
+ * @param {Array} [fields] - Declarations, DEFAULT_CONTACT_FIELDS if omitted
+ * @param {Function} [translate] - See validateFieldValue()
+ * @returns {{ valid: boolean, errors: Object }} errors maps field names to messages
+ */
+function validateSubmission(data, fields = DEFAULT_CONTACT_FIELDS, translate = defaultValidationMessage) {
+  const errors = {};
+
+  fields.filter(field => isAllowedFieldName(field.name)).forEach(field => {
+    const message = validateFieldValue(data[field.name], field, translate);
+    if (message) {
+      errors[field.name] = message;
+    }
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Export for Node (server) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_CONTACT_FIELDS,
+    RESERVED_FIELD_NAMES,
+    compileFieldPattern,
+    isAllowedFieldName,
+    validateFieldValue,
+    validateSubmission
+  };
+} else {
+  window.DEFAULT_CONTACT_FIELDS = DEFAULT_CONTACT_FIELDS;
+  window.isAllowedFieldName = isAllowedFieldName;
+  window.validateFieldValue = validateFieldValue;
+  window.validateSubmission = validateSubmission;
+}
@@ -1,142 +1,41 @@
 /**
  * Home Content Module
- * Populates home page with content from content.json
+ * Populates the home page social links with content from content.json
+ * Text fields and lists are rendered from the data-bind and data-each markup in index.html (components.js)
  * Security: All content is properly escaped before insertion
  */
 
-/**
- * Populate hero section
- */
-function populateHero(content) {
-  if (!content || !content.home || !content.home.hero) return;
-  
-  const hero = content.home.hero;
-  
-  // Populate hero title
-  const heroTitle = document.getElementById('hero-title');
-  if (heroTitle) {
-    heroTitle.textContent = hero.title;
-  }
-  
-  // Populate hero subtitle
-  const heroSubtitle = document.getElementById('hero-subtitle');
-  if (heroSubtitle) {
-    heroSubtitle.textContent = hero.subtitle;
-  }
-  
-  // Populate hero description
-  const heroDescription = document.getElementById('hero-description');
-  if (heroDescription) {
-    heroDescription.textContent = hero.description;
-  }
-  
-  // Populate CTAs
-  const primaryCTA = document.getElementById('hero-cta-primary');
-  if (primaryCTA && hero.cta_primary) {
-    primaryCTA.href = window.escapeHtml(hero.cta_primary.href);
-    primaryCTA.textContent = hero.cta_primary.text;
-  }
-  
-  const secondaryCTA = document.getElementById('hero-cta-secondary');
-  if (secondaryCTA && hero.cta_secondary) {
-    secondaryCTA.href = window.escapeHtml(hero.cta_secondary.href);
-    secondaryCTA.textContent = hero.cta_secondary.text;
-  }
-  
-  console.log('[Security] Hero section populated');
-}
-
-/**
- * Populate expertise cards
- */
-function populateExpertise(content) {
-  if (!content || !content.home || !content.home.expertise) return;
-  
-  const container = document.getElementById('expertise-cards');
-  if (!container) return;
-  
-  container.innerHTML = '';
-  
-  content.home.expertise.forEach(item => {
-    const col = document.createElement('div');
-    col.className = 'col-md-4 mb-4 animate-on-scroll';
-    
-    col.innerHTML = `
-      <div class="card">
-        <div class="card-body text-center">
-          <i class="bi bi-${window.escapeHtml(item.icon)} card-icon"></i>
-          <h3 class="card-title">${window.escapeHtml(item.title)}</h3>
-          <p class="card-text">${window.escapeHtml(item.description)}</p>
-        </div>
-      </div>
-    `;
-    
-    container.appendChild(col);
-  });
-  
-  console.log('[Security] Expertise cards populated');
-}
-
-/**
- * Populate stats section
- */
-function populateStats(content) {
-  if (!content || !content.home || !content.home.stats) return;
-  
-  const container = document.getElementById('stats-cards');
-  if (!container) return;
-  
-  container.innerHTML = '';
-  
-  content.home.stats.forEach(stat => {
-    const col = document.createElement('div');
-    col.className = 'col-md-3 col-sm-6 mb-4 mb-md-0 animate-on-scroll';
-    
-    col.innerHTML = `
-      <div class="stat-card">
-        <i class="bi bi-${window.escapeHtml(stat.icon)} stat-icon"></i>
-        <span class="stat-number">${window.escapeHtml(stat.number)}</span>
-        <p class="stat-label mb-0">${window.escapeHtml(stat.label)}</p>
-      </div>
-    `;
-    
-    container.appendChild(col);
-  });
-  
-  console.log('[Security] Stats section populated');
-}
-
 /**
  * Populate social links
  */
-function populateSocialLinks(content) {
-  if (!content || !content.social) return;
+function populateSocialLinks(social) {
+  if (!social) return;
   
   const container = document.getElementById('social-links');
   if (!container) return;
   
-  container.innerHTML = '';
+  container.replaceChildren();
   
   const socialLinks = [
-    { name: 'GitHub', icon: 'github', url: content.social.github },
-    { name: 'LinkedIn', icon: 'linkedin', url: content.social.linkedin },
-    { name: 'Twitter', icon: 'twitter', url: content.social.twitter },
-    { name: 'Email', icon: 'envelope', url: content.social.email }
+    { name: 'GitHub', icon: 'github', url: social.github },
+    { name: 'LinkedIn', icon: 'linkedin', url: social.linkedin },
+    { name: 'Twitter', icon: 'twitter', url: social.twitter },
+    { name: 'Email', icon: 'envelope', url: social.email }
   ];
   
-  socialLinks.forEach(social => {
-    if (social.url) {
+  socialLinks.forEach(link => {
+    if (link.url) {
       const a = document.createElement('a');
-      a.href = social.url;
+      a.href = link.url;
       a.className = 'social-link';
-      a.setAttribute('aria-label', social.name);
+      a.setAttribute('aria-label', link.name);
       a.setAttribute('rel', 'noopener noreferrer');
-      if (!social.url.startsWith('mailto:')) {
+      if (!link.url.startsWith('mailto:')) {
         a.setAttribute('target', '_blank');
       }
       
       const i = document.createElement('i');
-      i.className = `bi bi-${social.icon}`;
+      i.className = `bi bi-${link.icon}`;
       
       a.appendChild(i);
       container.appendChild(a);
@@ -150,23 +49,16 @@ function populateSocialLinks(content) {
  * Initialize home content
  */
 function initHomeContent() {
-  console.log('[Security] Waiting for content to load...');
-  
-  document.addEventListener('contentLoaded', (event) => {
-    const content = event.detail;
-    
-    console.log('[Security] Populating home page...');
-    
-    populateHero(content);
-    populateExpertise(content);
-    populateStats(content);
-    populateSocialLinks(content);
-    
-    // Re-initialize animations for dynamically added elements
-    if (window.initScrollAnimations) {
-      setTimeout(() => window.initScrollAnimations(), 100);
+  // Replays the current content if it has already loaded, and runs again on reload
+  window.contentStore.subscribe('social', (social) => {
+    // Prerendered markup is already populated; only attach behavior
+    if (window.isPrerendered && window.isPrerendered()) {
+      console.log('[Security] Page is prerendered, skipping population');
+      return;
     }
     
+    populateSocialLinks(social);
+    
     console.log('[Security] Home page populated successfully');
   });
 }
@@ -0,0 +1,333 @@
+/**
+ * Internationalization Module
+ * Resolves the active locale, applies lang/dir and the matching Bootstrap
+ * stylesheet, and provides translated UI strings
+ * Loaded in <head> right after the Bootstrap stylesheet so direction is set before first paint
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'preferred_locale';
+
+/**
+ * Locales with a data/content.<locale>.json file
+ */
+const SUPPORTED_LOCALES = {
+  en: { name: 'English', dir: 'ltr' },
+  ar: { name: 'العربية', dir: 'rtl' }
+};
+
+/**
+ * Bootstrap builds per text direction, with SRI hashes
+ */
+const BOOTSTRAP_STYLESHEETS = {
+  ltr: {
+    href: 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    integrity: 'sha384-T3c6CoIi6uLrA9TneNEoa7RxnatzjcDSCmG1MXxSR1GAsXEV/Dwwykc2MPK8M2HN'
+  },
+  rtl: {
+    href: 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.rtl.min.css',
+    integrity: 'sha384-nU14brUcp6StFntEOOEBvcJm4huWjB0OcIeQ3fltAfSmuZFrkAif0T+UtNGlKKQv'
+  }
+};
+
+/**
+ * UI strings that are not part of content.json
+ */
+const UI_STRINGS = {
+  en: {
+    'nav.language': 'Language',
+    'theme.switchToDark': 'Switch to dark theme',
+    'theme.switchToLight': 'Switch to light theme',
+    'validation.required': 'This field is required',
+    'validation.length': 'Must be between {min} and {max} characters',
+    'validation.minLength': 'Must be at least {min} characters',
+    'validation.maxLength': 'Must be at most {max} characters',
+    'validation.pattern': 'Contains characters that are not allowed',
+    'validation.email': 'Please enter a valid email address',
+    'validation.tel': 'Please enter a valid phone number',
+    'form.privacyRequired': 'Please accept the privacy policy to continue.',
+    'form.invalidSubmission': 'Invalid submission detected.',
+    'form.tooFast': 'That was quick! Please take a moment to check your message, then send it again.',
+    'form.correctErrors': 'Please correct the errors in the form.',
+    'form.sending': 'Sending...',
+    'form.success': 'Thank you for your message! I will get back to you soon.',
+    'form.error': 'An error occurred while sending your message. Please try again later.',
+    'form.rateLimited': 'Rate limit exceeded. Please try again in {time}.',
+    'form.backoff': 'Too many unsuccessful attempts. Please wait {time} before trying again.',
+    'form.canSendAgain': 'You can send your message again.',
+    'form.mailtoOpened': 'Your email app has been opened with your message. Please send it from there.',
+    'form.mailSubject': 'Website inquiry from {name}',
+    'form.characterCount': '{count} / {max} characters',
+    'wizard.step.service': 'Services',
+    'wizard.step.compliance': 'Compliance',
+    'wizard.step.budget': 'Budget',
+    'wizard.step.timeline': 'Timeline',
+    'wizard.step.contact': 'Your details',
+    'wizard.step.review': 'Review',
+    'wizard.question.service': 'Which services do you need?',
+    'wizard.question.compliance': 'Which compliance requirements apply?',
+    'wizard.question.budget': 'What is your budget range?',
+    'wizard.question.timeline': 'When would you like to start?',
+    'wizard.question.contact': 'How can I reach you?',
+    'wizard.question.review': 'Check your inquiry before sending',
+    'wizard.hint.compliance': 'Leave empty if none apply',
+    'wizard.chooseService': 'Please choose at least one service',
+    'wizard.chooseBudget': 'Please choose a budget range',
+    'wizard.chooseTimeline': 'Please choose a timeline',
+    'wizard.progress': 'Step {current} of {total}: {title}',
+    'wizard.back': 'Back',
+    'wizard.next': 'Next',
+    'wizard.edit': 'Edit',
+    'wizard.none': 'None',
+    'draft.found': 'You have an unsent message from {time}. Restore it?',
+    'draft.restore': 'Restore',
+    'draft.discard': 'Discard',
+    'attachments.label': 'Attachments',
+    'attachments.hint': 'Drop files here or choose them: up to {count} files, {size} in total ({types})',
+    'attachments.remove': 'Remove {name}',
+    'attachments.tooMany': 'You can attach up to {count} files',
+    'attachments.tooLarge': 'Attachments can be at most {size} in total',
+    'attachments.type': '{name}: this file type is not allowed',
+    'attachments.content': '{name}: the file content does not match its type',
+    'form.queued': "You're offline. Your message has been saved and will be sent automatically when you're back online.",
+    'form.queuedSent': 'Your saved message has been sent. Thank you!',
+    'form.queuedFailed': 'Your saved message could not be delivered. It has been put back in the form so you can review it.',
+    'form.outboxFull': 'You already have messages waiting to be sent. Please wait until they have been delivered.',
+    'portfolio.all': 'All Projects',
+    'portfolio.categories': 'Filter by category',
+    'portfolio.status': 'Showing {visible} of {total} projects',
+    'portfolio.search': 'Search projects',
+    'portfolio.tags': 'Tags',
+    'portfolio.match': 'Match tags',
+    'portfolio.match.any': 'Any tag',
+    'portfolio.match.all': 'All tags',
+    'portfolio.clear': 'Clear filters',
+    'portfolio.empty': 'No projects match these filters.',
+    'portfolio.sort': 'Sort by',
+    'portfolio.sort.newest': 'Newest first',
+    'portfolio.sort.alphabetical': 'Alphabetical',
+    'portfolio.sort.category': 'Category',
+    'project.sector': 'Client sector: {sector}',
+    'project.completed': 'Completed {date}',
+    'project.challenge': 'Challenge',
+    'project.approach': 'Approach',
+    'project.outcomes': 'Outcomes',
+    'project.technologies': 'Technologies',
+    'project.gallery': 'Gallery',
+    'project.previous': 'Previous',
+    'project.next': 'Next',
+    'project.position': 'Project {index} of {total}',
+    'project.close': 'Close',
+    'project.openPage': 'Open as a page',
+    'project.back': 'All projects',
+    'project.notFound': 'Project not found',
+    'project.notFoundText': 'This project does not exist or is no longer listed.'
+  },
+  ar: {
+    'nav.language': 'اللغة',
+    'theme.switchToDark': 'التبديل إلى المظهر الداكن',
+    'theme.switchToLight': 'التبديل إلى المظهر الفاتح',
+    'validation.required': 'هذا الحقل مطلوب',
+    'validation.length': 'يجب أن يتراوح الطول بين {min} و{max} حرف',
+    'validation.minLength': 'يجب ألا يقل الطول عن {min} أحرف',
+    'validation.maxLength': 'يجب ألا يزيد الطول عن {max} حرف',
+    'validation.pattern': 'يحتوي على أحرف غير مسموح بها',
+    'validation.email': 'يرجى إدخال عنوان بريد إلكتروني صالح',
+    'validation.tel': 'يرجى إدخال رقم هاتف صالح',
+    'form.privacyRequired': 'يرجى الموافقة على سياسة الخصوصية للمتابعة.',
+    'form.invalidSubmission': 'تم اكتشاف إرسال غير صالح.',
+    'form.tooFast': 'كان ذلك سريعاً! يرجى مراجعة رسالتك ثم إرسالها مرة أخرى.',
+    'form.correctErrors': 'يرجى تصحيح الأخطاء في النموذج.',
+    'form.sending': 'جارٍ الإرسال...',
+    'form.success': 'شكراً لرسالتك! سأتواصل معك قريباً.',
+    'form.error': 'حدث خطأ أثناء إرسال رسالتك. يرجى المحاولة مرة أخرى لاحقاً.',
+    'form.rateLimited': 'تم تجاوز حد الإرسال. يرجى المحاولة مرة أخرى بعد {time}.',
+    'form.backoff': 'محاولات غير ناجحة كثيرة. يرجى الانتظار {time} قبل المحاولة مرة أخرى.',
+    'form.canSendAgain': 'يمكنك إرسال رسالتك مرة أخرى.',
+    'form.mailtoOpened': 'تم فتح تطبيق البريد الإلكتروني مع رسالتك. يرجى إرسالها من هناك.',
+    'form.mailSubject': 'استفسار من الموقع من {name}',
+    'form.characterCount': '{count} / {max} حرف',
+    'wizard.step.service': 'الخدمات',
+    'wizard.step.compliance': 'الامتثال',
+    'wizard.step.budget': 'الميزانية',
+    'wizard.step.timeline': 'الجدول الزمني',
+    'wizard.step.contact': 'بياناتك',
+    'wizard.step.review': 'المراجعة',
+    'wizard.question.service': 'ما الخدمات التي تحتاجها؟',
+    'wizard.question.compliance': 'ما متطلبات الامتثال التي تنطبق عليك؟',
+    'wizard.question.budget': 'ما نطاق ميزانيتك؟',
+    'wizard.question.timeline': 'متى تود البدء؟',
+    'wizard.question.contact': 'كيف يمكنني التواصل معك؟',
+    'wizard.question.review': 'راجع استفسارك قبل الإرسال',
+    'wizard.hint.compliance': 'اتركه فارغاً إن لم ينطبق أي منها',
+    'wizard.chooseService': 'يرجى اختيار خدمة واحدة على الأقل',
+    'wizard.chooseBudget': 'يرجى اختيار نطاق الميزانية',
+    'wizard.chooseTimeline': 'يرجى اختيار الجدول الزمني',
+    'wizard.progress': 'الخطوة {current} من {total}: {title}',
+    'wizard.back': 'السابق',
+    'wizard.next': 'التالي',
+    'wizard.edit': 'تعديل',
+    'wizard.none': 'لا شيء',
+    'draft.found': 'لديك رسالة غير مرسلة من {time}. هل تريد استعادتها؟',
+    'draft.restore': 'استعادة',
+    'draft.discard': 'تجاهل',
+    'attachments.label': 'المرفقات',
+    'attachments.hint': 'أفلت الملفات هنا أو اخترها: حتى {count} ملفات، بحجم إجمالي {size} ({types})',
+    'attachments.remove': 'إزالة {name}',
+    'attachments.tooMany': 'يمكنك إرفاق {count} ملفات كحد أقصى',
+    'attachments.tooLarge': 'يجب ألا يتجاوز الحجم الإجمالي للمرفقات {size}',
+    'attachments.type': '{name}: نوع الملف هذا غير مسموح به',
+    'attachments.content': '{name}: محتوى الملف لا يطابق نوعه',
+    'form.queued': 'أنت غير متصل بالإنترنت. تم حفظ رسالتك وسيتم إرسالها تلقائياً عند عودة الاتصال.',
+    'form.queuedSent': 'تم إرسال رسالتك المحفوظة. شكراً لك!',
+    'form.queuedFailed': 'تعذّر تسليم رسالتك المحفوظة. أعدناها إلى النموذج لتتمكن من مراجعتها.',
+    'form.outboxFull': 'لديك رسائل بانتظار الإرسال بالفعل. يرجى الانتظار حتى يتم تسليمها.',
+    'portfolio.all': 'جميع المشاريع',
+    'portfolio.categories': 'التصفية حسب الفئة',
+    'portfolio.status': 'المشاريع المعروضة: {visible} من {total}',
+    'portfolio.search': 'ابحث في المشاريع',
+    'portfolio.tags': 'الوسوم',
+    'portfolio.match': 'مطابقة الوسوم',
+    'portfolio.match.any': 'أي وسم',
+    'portfolio.match.all': 'كل الوسوم',
+    'portfolio.clear': 'مسح عوامل التصفية',
+    'portfolio.empty': 'لا توجد مشاريع تطابق عوامل التصفية هذه.',
+    'portfolio.sort': 'ترتيب حسب',
+    'portfolio.sort.newest': 'الأحدث أولاً',
+    'portfolio.sort.alphabetical': 'أبجدياً',
+    'portfolio.sort.category': 'الفئة',
+    'project.sector': 'قطاع العميل: {sector}',
+    'project.completed': 'اكتمل في {date}',
+    'project.challenge': 'التحدي',
+    'project.approach': 'المنهجية',
+    'project.outcomes': 'النتائج',
+    'project.technologies': 'التقنيات',
+    'project.gallery': 'معرض الصور',
+    'project.previous': 'السابق',
+    'project.next': 'التالي',
+    'project.position': 'المشروع {index} من {total}',
+    'project.close': 'إغلاق',
+    'project.openPage': 'فتح كصفحة',
+    'project.back': 'جميع المشاريع',
+    'project.notFound': 'المشروع غير موجود',
+    'project.notFoundText': 'هذا المشروع غير موجود أو لم يعد معروضاً.'
+  }
+};
+
+/**
+ * Read the saved locale preference (storage may be unavailable)
+ */
+function getSavedLocale() {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save the locale preference
+ */
+function saveLocale(locale) {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn('[Security] Could not save locale preference');
+  }
+}
+
+/**
+ * Match a language tag such as "ar-AE" against the supported locales
+ */
+function matchLocale(tag) {
+  if (typeof tag !== 'string') return null;
+  const language = tag.toLowerCase().split('-')[0];
+  return Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, language) ? language : null;
+}
+
+/**
+ * Resolve the locale: URL (?lang=), then saved preference, then browser languages
+ */
+function resolveLocale() {
+  const fromUrl = matchLocale(new URLSearchParams(window.location.search).get('lang'));
+  if (fromUrl) {
+    // A shared ?lang= link keeps its language on the following pages
+    saveLocale(fromUrl);
+    return fromUrl;
+  }
+
+  const saved = matchLocale(getSavedLocale());
+  if (saved) return saved;
+
+  const browserLanguages = navigator.languages || [navigator.language];
+  for (const tag of browserLanguages) {
+    const match = matchLocale(tag);
+    if (match) return match;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+const currentLocale = resolveLocale();
+
+/**
+ * Apply lang/dir and the matching Bootstrap build to the document
+ */
+function applyLocale(locale) {
+  const dir = SUPPORTED_LOCALES[locale].dir;
+  const root = document.documentElement;
+
+  root.setAttribute('lang', locale);
+  root.setAttribute('dir', dir);
+
+  const stylesheet = document.querySelector('link[rel="stylesheet"][href*="/bootstrap@"]');
+  const target = BOOTSTRAP_STYLESHEETS[dir];
+
+  if (stylesheet && stylesheet.getAttribute('href') !== target.href) {
+    // Integrity must match before the new href starts loading
+    stylesheet.setAttribute('integrity', target.integrity);
+    stylesheet.setAttribute('href', target.href);
+  }
+}
+
+/**
+ * Get the active locale
+ */
+function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switch locale: save the preference and reload the page in that language
+ */
+function setLocale(locale) {
+  if (!SUPPORTED_LOCALES[locale]) return;
+
+  saveLocale(locale);
+
+  const url = new URL(window.location.href);
+  url.searchParams.set('lang', locale);
+  window.location.assign(url.toString());
+}
+
+/**
+ * Translate a UI string, interpolating {placeholders} from params.
+ * Falls back to the default locale, then to the key itself.
+ */
+function translate(key, params = {}) {
+  const strings = UI_STRINGS[currentLocale] || {};
+  const template = strings[key] || UI_STRINGS[DEFAULT_LOCALE][key] || key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  ));
+}
+
+applyLocale(currentLocale);
+
+// Export functions for use in other modules
+window.SUPPORTED_LOCALES = SUPPORTED_LOCALES;
+window.DEFAULT_LOCALE = DEFAULT_LOCALE;
+window.getLocale = getLocale;
+window.setLocale = setLocale;
+window.translate = translate;
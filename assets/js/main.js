@@ -8,15 +8,14 @@
  * Initialize navbar functionality
  */
 function initNavbar() {
-  const navbar = document.querySelector('.navbar');
-  
-  // Add shadow on scroll
+  // Add shadow on scroll; the shadow color comes from --navbar-shadow,
+  // which changes with the theme. The navbar is looked up on each scroll
+  // because the header is injected after this runs.
   window.addEventListener('scroll', () => {
-    if (window.scrollY > 50) {
-      navbar.classList.add('scrolled');
-    } else {
-      navbar.classList.remove('scrolled');
-    }
+    const navbar = document.querySelector('.navbar');
+    if (!navbar) return;
+    
+    navbar.classList.toggle('scrolled', window.scrollY > 50);
   });
   
   // Close mobile navbar when clicking on a link
@@ -37,6 +36,21 @@ function initNavbar() {
   console.log('[Security] Navbar initialized');
 }
 
+/**
+ * Check whether the visitor asked for less motion
+ */
+function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Scroll behavior for scrollTo and scrollIntoView: smooth, unless the
+ * visitor asked for less motion (CSS scroll-behavior does not cover these)
+ */
+function getScrollBehavior() {
+  return prefersReducedMotion() ? 'auto' : 'smooth';
+}
+
 /**
  * Smooth scroll for anchor links
  */
@@ -60,7 +74,7 @@ function initSmoothScroll() {
         
         window.scrollTo({
           top: targetPosition,
-          behavior: 'smooth'
+          behavior: getScrollBehavior()
         });
       }
     });
@@ -183,3 +197,5 @@ if (document.readyState === 'loading') {
 // Export utility functions
 window.logSecurityEvent = logSecurityEvent;
 window.initScrollAnimations = initScrollAnimations;
+window.prefersReducedMotion = prefersReducedMotion;
+window.getScrollBehavior = getScrollBehavior;
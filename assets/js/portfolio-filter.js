@@ -1,104 +1,714 @@
 /**
  * Portfolio Filter Module
- * Handles filtering of portfolio items by category
+ * Handles filtering of portfolio items by category, tags and free text
+ * Cards are rendered from the data-each template in portfolio.html (components.js)
+ * and matched to their content.portfolio item by data-id
+ *
+ * Filters combine: a category, any number of tags (matching any or all of
+ * them) and a search over title and description. They are kept in the query
+ * string, e.g. ?category=compliance&tag=GDPR&tag=HIPAA&match=all&q=portal,
+ * so a filtered view can be shared, reloaded and walked with back/forward.
+ * The sort order (newest first by the project's date, alphabetical or by
+ * category) is kept there too, as ?sort=.
+ *
+ * The category buttons are built from the categories used in content.portfolio,
+ * labelled and ordered by portfolioFilters in content.json:
+ *   allLabel        - label of the button that shows every category
+ *   emptyCategories - "hide" or "disable" buttons with no matching projects
+ *   categories      - [{ id, label }] in display order; categories used by
+ *                     projects but not listed follow, labelled by their id
+ * They form an ARIA toolbar: one Tab stop, arrow keys/Home/End move between
+ * buttons, and the selected one has aria-pressed. A polite status line
+ * reports how many projects are shown.
+ *
+ * The controls are built in a render step that tools/prerender.js also runs,
+ * so prerendered pages ship them; events are handled on their containers,
+ * whether the markup was built here or at build time.
  * Security: Proper event handling without inline JavaScript
  */
 
-let currentFilter = 'all';
+const DEFAULT_PORTFOLIO_FILTERS = {
+  category: 'all',
+  tags: [],
+  match: 'any',
+  q: '',
+  sort: 'newest'
+};
+
+const PORTFOLIO_SORTS = ['newest', 'alphabetical', 'category'];
+
+// Length of the card transitions in milliseconds
+const PORTFOLIO_MOTION_DURATION = 350;
+
+const DEFAULT_FILTER_NAV_CONFIG = {
+  emptyCategories: 'disable',
+  categories: []
+};
+
+// Longest search accepted from the URL or the search box
+const PORTFOLIO_SEARCH_MAX_LENGTH = 100;
+
+let portfolioFilters = DEFAULT_PORTFOLIO_FILTERS;
+let portfolioSearchTimer = null;
 
 /**
- * Filter portfolio items
+ * Project items from content.json
  */
-function filterPortfolio(category) {
-  currentFilter = category;
+function getPortfolioItems() {
+  const items = window.contentStore.getContent('portfolio');
+  return Array.isArray(items) ? items : [];
+}
+
+/**
+ * Category button settings from content.json
+ */
+function getFilterNavConfig() {
+  const config = window.contentStore.getContent('portfolioFilters');
+  return { ...DEFAULT_FILTER_NAV_CONFIG, ...config };
+}
+
+/**
+ * Categories for the filter buttons, in display order: the configured ones,
+ * then any other category used by a project
+ */
+function getFilterCategories() {
+  const config = getFilterNavConfig();
+  const categories = new Map();
+  
+  (Array.isArray(config.categories) ? config.categories : []).forEach(category => {
+    if (!categories.has(category.id)) {
+      categories.set(category.id, { id: category.id, label: category.label });
+    }
+  });
   
-  const portfolioItems = document.querySelectorAll('.portfolio-card');
+  getPortfolioItems().forEach(item => {
+    if (!categories.has(item.category)) {
+      categories.set(item.category, { id: item.category, label: item.category });
+    }
+  });
   
-  portfolioItems.forEach(item => {
-    const itemCategory = item.getAttribute('data-category');
-    
-    if (category === 'all' || itemCategory === category) {
-      item.classList.remove('hidden');
-      // Add animation
-      item.style.animation = 'fadeInUp 0.5s ease';
-    } else {
-      item.classList.add('hidden');
+  return Array.from(categories.values());
+}
+
+/**
+ * Every tag used by a project, sorted for the page's language
+ */
+function getPortfolioTags() {
+  const tags = new Set();
+  
+  getPortfolioItems().forEach(item => {
+    (Array.isArray(item.tags) ? item.tags : []).forEach(tag => tags.add(String(tag)));
+  });
+  
+  return Array.from(tags).sort((a, b) => a.localeCompare(b, window.getLocale()));
+}
+
+/**
+ * Lower-case text without accents, so "resume" finds "Résumé"
+ */
+function normalizeSearchText(text) {
+  return String(text).normalize('NFKD').replace(/\p{M}/gu, '').toLocaleLowerCase();
+}
+
+/**
+ * Check an item against filters
+ */
+function matchesPortfolioFilters(item, filters = portfolioFilters) {
+  if (filters.category !== 'all' && item.category !== filters.category) return false;
+  
+  if (filters.tags.length > 0) {
+    const itemTags = Array.isArray(item.tags) ? item.tags : [];
+    const hasTag = tag => itemTags.includes(tag);
+    const matchesTags = filters.match === 'all' ? filters.tags.every(hasTag) : filters.tags.some(hasTag);
+    if (!matchesTags) return false;
+  }
+  
+  if (filters.q !== '') {
+    // Every word must appear somewhere in the title or description
+    const text = normalizeSearchText(`${item.title || ''} ${item.description || ''}`);
+    const words = normalizeSearchText(filters.q).split(/\s+/).filter(Boolean);
+    if (!words.every(word => text.includes(word))) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Read filters from a query string, dropping categories and tags the
+ * content does not have
+ */
+function readFiltersFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const items = getPortfolioItems();
+  const categories = new Set(items.map(item => item.category));
+  
+  // Tags match case-insensitively, so ?tag=hipaa works too
+  const knownTags = new Map(getPortfolioTags().map(tag => [tag.toLowerCase(), tag]));
+  const tags = params.getAll('tag')
+    .map(tag => knownTags.get(tag.toLowerCase()))
+    .filter((tag, index, list) => tag && list.indexOf(tag) === index);
+  
+  const category = params.get('category');
+  
+  return {
+    category: category && categories.has(category) ? category : 'all',
+    tags,
+    match: params.get('match') === 'all' ? 'all' : 'any',
+    q: (params.get('q') || '').trim().slice(0, PORTFOLIO_SEARCH_MAX_LENGTH),
+    sort: PORTFOLIO_SORTS.includes(params.get('sort')) ? params.get('sort') : DEFAULT_PORTFOLIO_FILTERS.sort
+  };
+}
+
+/**
+ * Put filters into query parameters, replacing earlier filters and keeping
+ * other parameters (such as lang). Defaults are left out so the plain page
+ * keeps its plain URL.
+ */
+function setFilterParams(params, filters) {
+  ['category', 'tag', 'match', 'q', 'sort'].forEach(name => params.delete(name));
+  if (filters.category !== 'all') params.set('category', filters.category);
+  filters.tags.forEach(tag => params.append('tag', tag));
+  if (filters.tags.length > 1 && filters.match === 'all') params.set('match', 'all');
+  if (filters.q !== '') params.set('q', filters.q);
+  if (filters.sort && filters.sort !== DEFAULT_PORTFOLIO_FILTERS.sort) params.set('sort', filters.sort);
+}
+
+/**
+ * Write filters to the query string of the page
+ */
+function writeFiltersToUrl(filters, mode) {
+  const url = new URL(window.location.href);
+  setFilterParams(url.searchParams, filters);
+  
+  if (url.href === window.location.href) return;
+  
+  if (mode === 'push') {
+    window.history.pushState({ portfolioFilters: filters }, '', url);
+  } else {
+    window.history.replaceState({ portfolioFilters: filters }, '', url);
+  }
+}
+
+/**
+ * Sort items: "newest" by date (undated last), "alphabetical" by title,
+ * "category" in the order of the filter buttons, then by title
+ */
+function sortPortfolioItems(items, sort) {
+  const locale = window.getLocale();
+  const byTitle = (a, b) => String(a.title).localeCompare(String(b.title), locale);
+  
+  if (sort === 'alphabetical') {
+    return items.slice().sort(byTitle);
+  }
+  
+  if (sort === 'category') {
+    const order = getFilterCategories().map(category => category.id);
+    return items.slice().sort((a, b) => (order.indexOf(a.category) - order.indexOf(b.category)) || byTitle(a, b));
+  }
+  
+  // Dates are ISO (2024-05 or 2024-05-20), so they sort as text
+  return items.slice().sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+}
+
+/**
+ * Items that match filters, in their sort order
+ */
+function getMatchingItems(filters = portfolioFilters) {
+  return sortPortfolioItems(getPortfolioItems().filter(item => matchesPortfolioFilters(item, filters)), filters.sort);
+}
+
+/**
+ * Positions of the visible grid columns, taken before the grid changes
+ */
+function measurePortfolioColumns(columns) {
+  const positions = new Map();
+  
+  columns.forEach(column => {
+    if (column.hidden) return;
+    // A transition still running would be measured mid-way
+    if (typeof column.getAnimations === 'function') {
+      column.getAnimations().forEach(animation => animation.cancel());
     }
+    positions.set(column, column.getBoundingClientRect());
   });
   
-  // Update active state on filter buttons
-  const filterButtons = document.querySelectorAll('.filter-btn');
-  filterButtons.forEach(btn => {
-    if (btn.getAttribute('data-filter') === category) {
-      btn.classList.add('active');
-    } else {
-      btn.classList.remove('active');
+  return positions;
+}
+
+/**
+ * FLIP: columns that moved slide from their old position to the new one,
+ * columns that appeared fade in. Runs through the Web Animations API, so
+ * nothing is written to style attributes.
+ */
+function animatePortfolioColumns(columns, before) {
+  if (window.prefersReducedMotion()) return;
+  
+  columns.forEach(column => {
+    if (column.hidden || typeof column.animate !== 'function') return;
+    
+    const first = before.get(column);
+    const last = column.getBoundingClientRect();
+    
+    if (!first) {
+      column.animate([
+        { opacity: 0, transform: 'scale(0.95)' },
+        { opacity: 1, transform: 'none' }
+      ], { duration: PORTFOLIO_MOTION_DURATION, easing: 'ease-out' });
+    } else if (first.left !== last.left || first.top !== last.top) {
+      column.animate([
+        { transform: `translate(${first.left - last.left}px, ${first.top - last.top}px)` },
+        { transform: 'none' }
+      ], { duration: PORTFOLIO_MOTION_DURATION, easing: 'ease-in-out' });
     }
   });
+}
+
+/**
+ * Show the cards that match the current filters, in their sort order
+ *
+ * @param {boolean} [animate] - Move the cards to their new places (not for freshly rendered cards)
+ */
+function applyPortfolioFilters(animate = true) {
+  const grid = document.getElementById('portfolio-grid');
+  const columns = new Map();
+  
+  // Cards are hidden and moved with the grid column around them
+  document.querySelectorAll('.portfolio-card').forEach(card => {
+    columns.set(card.getAttribute('data-id'), card.closest('#portfolio-grid > *') || card);
+  });
   
-  console.log(`[Security] Portfolio filtered by: ${category}`);
+  const before = animate ? measurePortfolioColumns(columns) : new Map();
+  const matching = new Set(getMatchingItems().map(item => String(item.id)));
+  const order = sortPortfolioItems(getPortfolioItems(), portfolioFilters.sort)
+    .map(item => columns.get(String(item.id)))
+    .filter(Boolean);
+  
+  // Only move columns when the order changed, so focus inside the grid is kept
+  const current = grid ? Array.from(grid.children).filter(child => order.includes(child)) : order;
+  if (order.some((column, index) => column !== current[index])) {
+    order.forEach(column => grid.appendChild(column));
+  }
+  
+  // hidden (display: none) also takes the cards out of the tab order and
+  // the accessibility tree
+  columns.forEach((column, id) => {
+    column.hidden = !matching.has(id);
+  });
+  
+  if (animate) {
+    animatePortfolioColumns(columns, before);
+  }
+  
+  const empty = document.getElementById('portfolio-empty');
+  if (empty) {
+    empty.hidden = matching.size > 0 || columns.size === 0;
+  }
+  
+  updatePortfolioStatus(matching.size, columns.size);
+  
+  syncFilterControls();
+  
+  // Lets other modules follow the filters, e.g. project links that carry them
+  document.dispatchEvent(new CustomEvent('portfolioFiltered', { detail: { ...portfolioFilters } }));
 }
 
 /**
- * Initialize filter buttons
+ * Update buttons, tag toggles and the search box to the current filters
  */
-function initFilterButtons() {
-  const filterButtons = document.querySelectorAll('.filter-btn');
+function syncFilterControls() {
+  updateFilterCounts();
   
-  filterButtons.forEach(button => {
-    button.addEventListener('click', () => {
-      const category = button.getAttribute('data-filter');
-      filterPortfolio(category);
-    });
+  document.querySelectorAll('.facet-tag').forEach(toggle => {
+    const isPressed = portfolioFilters.tags.includes(toggle.dataset.tag);
+    toggle.classList.toggle('active', isPressed);
+    toggle.setAttribute('aria-pressed', String(isPressed));
   });
   
-  console.log('[Security] Portfolio filters initialized');
+  document.querySelectorAll('[name="portfolio-match"]').forEach(radio => {
+    radio.checked = radio.value === portfolioFilters.match;
+  });
+  
+  const sort = document.getElementById('portfolio-sort');
+  if (sort) {
+    sort.value = portfolioFilters.sort;
+  }
+  
+  const search = document.getElementById('portfolio-search');
+  if (search && search !== document.activeElement) {
+    search.value = portfolioFilters.q;
+  }
+  
+  const clear = document.getElementById('portfolio-clear');
+  if (clear) {
+    clear.hidden = isDefaultFilters(portfolioFilters);
+  }
+}
+
+/**
+ * Check whether filters show everything
+ */
+function isDefaultFilters(filters) {
+  return filters.category === 'all' && filters.tags.length === 0 && filters.q === '';
+}
+
+/**
+ * Change some filters and apply them
+ *
+ * @param {Object} changes - Any of category, tags, match, q
+ * @param {string} [history] - "push" a history entry, "replace" the current one, or "none"
+ */
+function setPortfolioFilters(changes, history = 'push') {
+  portfolioFilters = { ...portfolioFilters, ...changes };
+  
+  if (history !== 'none') {
+    writeFiltersToUrl(portfolioFilters, history);
+  }
+  
+  applyPortfolioFilters();
+  console.log('[Security] Portfolio filtered:', JSON.stringify(portfolioFilters));
+}
+
+/**
+ * Show every project again, keeping the sort order
+ */
+function clearPortfolioFilters() {
+  setPortfolioFilters({ ...DEFAULT_PORTFOLIO_FILTERS, sort: portfolioFilters.sort });
+}
+
+/**
+ * Filter portfolio items by category, keeping the other filters
+ */
+function filterPortfolio(category) {
+  setPortfolioFilters({ category });
+}
+
+/**
+ * Add or remove a tag filter
+ */
+function togglePortfolioTag(tag) {
+  const tags = portfolioFilters.tags.includes(tag)
+    ? portfolioFilters.tags.filter(selected => selected !== tag)
+    : [...portfolioFilters.tags, tag];
+  
+  setPortfolioFilters({ tags });
 }
 
 /**
- * Populate portfolio items from content.json (optional)
+ * Build a category button with a count
  */
-function populatePortfolio(content) {
-  if (!content || !content.portfolio) return;
+function createFilterButton(category, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'filter-btn';
+  button.setAttribute('data-filter', category);
+  button.setAttribute('aria-controls', 'portfolio-grid');
+  button.tabIndex = -1;
+  
+  const name = document.createElement('span');
+  name.textContent = label;
   
-  const container = document.getElementById('portfolio-grid');
-  if (!container) return;
+  const count = document.createElement('span');
+  count.className = 'filter-count';
+  
+  button.append(name, count);
+  return button;
+}
+
+/**
+ * Build the category buttons from the content, as an ARIA toolbar
+ */
+function renderFilterButtons(filterNav) {
+  const config = getFilterNavConfig();
+  const allLabel = config.allLabel || window.translate('portfolio.all');
   
-  // Check if portfolio is already populated with static content
-  const existingItems = container.querySelectorAll('.portfolio-card');
-  if (existingItems.length > 0) {
-    console.log('[Security] Portfolio already has static content');
-    return;
+  filterNav.setAttribute('role', 'toolbar');
+  filterNav.setAttribute('aria-label', window.translate('portfolio.categories'));
+  filterNav.replaceChildren(
+    createFilterButton('all', allLabel),
+    ...getFilterCategories().map(category => createFilterButton(category.id, category.label))
+  );
+}
+
+/**
+ * Show how many projects each category button would show with the other
+ * filters kept, and hide or disable the buttons that would show none
+ */
+function updateFilterCounts() {
+  const items = getPortfolioItems();
+  const hideEmpty = getFilterNavConfig().emptyCategories === 'hide';
+  const formatter = new Intl.NumberFormat(window.getLocale());
+  
+  document.querySelectorAll('.filter-btn').forEach(btn => {
+    const category = btn.getAttribute('data-filter');
+    const filters = { ...portfolioFilters, category };
+    const total = items.filter(item => matchesPortfolioFilters(item, filters)).length;
+    const isActive = category === portfolioFilters.category;
+    // The selected button stays usable so it never disappears under the pointer
+    const isEmpty = total === 0 && !isActive;
+    
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', String(isActive));
+    // Roving tabindex: Tab reaches the toolbar on the selected button
+    btn.tabIndex = isActive ? 0 : -1;
+    btn.hidden = isEmpty && hideEmpty;
+    btn.disabled = isEmpty && !hideEmpty;
+    
+    const count = btn.querySelector('.filter-count');
+    if (count) {
+      count.textContent = formatter.format(total);
+    }
+  });
+}
+
+/**
+ * Move focus between the category buttons with the arrow keys, Home and End,
+ * skipping hidden and disabled ones (ARIA toolbar pattern)
+ */
+function handleFilterNavKeydown(event) {
+  const buttons = Array.from(event.currentTarget.querySelectorAll('.filter-btn'))
+    .filter(btn => !btn.hidden && !btn.disabled);
+  const index = buttons.indexOf(event.target.closest('.filter-btn'));
+  if (index === -1) return;
+  
+  // Left and right follow the reading direction
+  const forward = document.documentElement.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+  const backward = forward === 'ArrowRight' ? 'ArrowLeft' : 'ArrowRight';
+  let next;
+  
+  switch (event.key) {
+    case forward:
+    case 'ArrowDown':
+      next = buttons[(index + 1) % buttons.length];
+      break;
+    case backward:
+    case 'ArrowUp':
+      next = buttons[(index - 1 + buttons.length) % buttons.length];
+      break;
+    case 'Home':
+      next = buttons[0];
+      break;
+    case 'End':
+      next = buttons[buttons.length - 1];
+      break;
+    default:
+      return;
   }
   
-  container.innerHTML = '';
+  event.preventDefault();
+  buttons.forEach(btn => {
+    btn.tabIndex = btn === next ? 0 : -1;
+  });
+  next.focus();
+}
+
+/**
+ * Handle clicks and keys of the filter buttons; they are rebuilt with the
+ * content, so this is done once on the nav
+ */
+function initFilterButtons(filterNav) {
+  filterNav.addEventListener('click', event => {
+    const button = event.target.closest('.filter-btn');
+    if (!button || button.disabled) return;
+    
+    const category = button.getAttribute('data-filter');
+    filterPortfolio(category);
+  });
+  
+  filterNav.addEventListener('keydown', handleFilterNavKeydown);
+  
+  console.log('[Security] Portfolio filters initialized');
+}
+
+/**
+ * Build the search box, the any/all switch and the clear button
+ */
+function renderFacetControls(container) {
+  const search = document.createElement('div');
+  search.className = 'portfolio-search';
+  
+  const searchLabel = document.createElement('label');
+  searchLabel.className = 'visually-hidden';
+  searchLabel.htmlFor = 'portfolio-search';
+  searchLabel.textContent = window.translate('portfolio.search');
+  
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.id = 'portfolio-search';
+  searchInput.className = 'form-control';
+  searchInput.placeholder = window.translate('portfolio.search');
+  searchInput.maxLength = PORTFOLIO_SEARCH_MAX_LENGTH;
+  searchInput.autocomplete = 'off';
+  searchInput.dir = 'auto';
+  
+  search.append(searchLabel, searchInput);
+  
+  const sort = document.createElement('div');
+  sort.className = 'portfolio-sort';
+  
+  const sortLabel = document.createElement('label');
+  sortLabel.className = 'facet-label';
+  sortLabel.htmlFor = 'portfolio-sort';
+  sortLabel.textContent = window.translate('portfolio.sort');
+  
+  const sortSelect = document.createElement('select');
+  sortSelect.id = 'portfolio-sort';
+  sortSelect.className = 'form-select form-select-sm';
+  sortSelect.append(...PORTFOLIO_SORTS.map(value => new Option(window.translate(`portfolio.sort.${value}`), value)));
+  
+  sort.append(sortLabel, sortSelect);
+  
+  const tags = document.createElement('div');
+  tags.className = 'portfolio-tag-facets';
   
-  content.portfolio.forEach(project => {
-    const col = document.createElement('div');
-    col.className = 'col-md-4 col-sm-6';
+  const tagsLabel = document.createElement('span');
+  tagsLabel.id = 'portfolio-tags-label';
+  tagsLabel.className = 'facet-label';
+  tagsLabel.textContent = window.translate('portfolio.tags');
+  
+  const tagList = document.createElement('div');
+  tagList.id = 'portfolio-tag-filters';
+  tagList.className = 'facet-tags';
+  tagList.setAttribute('role', 'group');
+  tagList.setAttribute('aria-labelledby', tagsLabel.id);
+  
+  const match = document.createElement('div');
+  match.className = 'facet-match';
+  match.setAttribute('role', 'radiogroup');
+  match.setAttribute('aria-label', window.translate('portfolio.match'));
+  
+  ['any', 'all'].forEach(value => {
+    const id = `portfolio-match-${value}`;
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.className = 'btn-check';
+    radio.name = 'portfolio-match';
+    radio.id = id;
+    radio.value = value;
     
-    col.innerHTML = `
-      <div class="portfolio-card animate-on-scroll" data-category="${window.escapeHtml(project.category)}">
-        <div class="portfolio-image">
-          <i class="bi bi-image"></i>
-        </div>
-        <div class="portfolio-overlay">
-          <h4 class="portfolio-title">${window.escapeHtml(project.title)}</h4>
-          <p class="portfolio-category">${window.escapeHtml(project.category)}</p>
-          <p class="portfolio-description">${window.escapeHtml(project.description)}</p>
-          <div class="portfolio-tags">
-            ${project.tags.map(tag => 
-              `<span class="portfolio-tag">${window.escapeHtml(tag)}</span>`
-            ).join('')}
-          </div>
-        </div>
-      </div>
-    `;
+    const label = document.createElement('label');
+    label.className = 'btn btn-sm btn-outline-primary';
+    label.htmlFor = id;
+    label.textContent = window.translate(`portfolio.match.${value}`);
     
-    container.appendChild(col);
+    match.append(radio, label);
+  });
+  
+  tags.append(tagsLabel, tagList, match);
+  
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.id = 'portfolio-clear';
+  clear.className = 'btn btn-sm btn-link';
+  clear.textContent = window.translate('portfolio.clear');
+  clear.hidden = true;
+  
+  container.replaceChildren(search, sort, tags, clear);
+}
+
+/**
+ * Handle the search box, sort order, tag toggles, any/all switch and clear
+ * button on their container
+ */
+function initFacetControls(container) {
+  // Typing replaces the history entry instead of adding one per keystroke
+  container.addEventListener('input', event => {
+    if (event.target.id !== 'portfolio-search') return;
+    
+    const query = event.target.value.trim();
+    clearTimeout(portfolioSearchTimer);
+    portfolioSearchTimer = setTimeout(() => {
+      setPortfolioFilters({ q: query }, 'replace');
+    }, 200);
+  });
+  
+  container.addEventListener('change', event => {
+    if (event.target.id === 'portfolio-sort') {
+      setPortfolioFilters({ sort: event.target.value });
+    } else if (event.target.name === 'portfolio-match') {
+      setPortfolioFilters({ match: event.target.value });
+    }
   });
   
-  console.log('[Security] Portfolio items populated from JSON');
+  container.addEventListener('click', event => {
+    const toggle = event.target.closest('.facet-tag');
+    if (toggle) {
+      togglePortfolioTag(toggle.dataset.tag);
+    } else if (event.target.closest('#portfolio-clear')) {
+      clearPortfolioFilters();
+    }
+  });
+}
+
+/**
+ * Build a toggle for every tag in the content
+ */
+function renderTagFacets() {
+  const tagList = document.getElementById('portfolio-tag-filters');
+  if (!tagList) return;
+  
+  tagList.replaceChildren(...getPortfolioTags().map(tag => {
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'facet-tag';
+    toggle.dataset.tag = tag;
+    toggle.textContent = tag;
+    toggle.setAttribute('aria-pressed', 'false');
+    return toggle;
+  }));
+}
+
+/**
+ * Add the message shown when no project matches, after the grid
+ */
+function renderEmptyState() {
+  const grid = document.getElementById('portfolio-grid');
+  if (!grid || document.getElementById('portfolio-empty')) return;
+  
+  const empty = document.createElement('div');
+  empty.id = 'portfolio-empty';
+  empty.className = 'portfolio-empty';
+  empty.hidden = true;
+  
+  const message = document.createElement('p');
+  message.textContent = window.translate('portfolio.empty');
+  
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'btn btn-outline-primary';
+  clear.textContent = window.translate('portfolio.clear');
+  
+  empty.append(message, clear);
+  grid.after(empty);
+}
+
+/**
+ * Add the live region that reports how many projects are shown
+ */
+function renderPortfolioStatus() {
+  const grid = document.getElementById('portfolio-grid');
+  if (!grid || document.getElementById('portfolio-status')) return;
+  
+  const status = document.createElement('p');
+  status.id = 'portfolio-status';
+  status.className = 'portfolio-status';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  status.setAttribute('aria-atomic', 'true');
+  grid.before(status);
+}
+
+/**
+ * Report how many projects are shown, e.g. "Showing 2 of 6 projects"
+ */
+function updatePortfolioStatus(visible, total) {
+  const status = document.getElementById('portfolio-status');
+  if (!status) return;
+  
+  const formatter = new Intl.NumberFormat(window.getLocale());
+  status.textContent = window.translate('portfolio.status', {
+    visible: formatter.format(visible),
+    total: formatter.format(total)
+  });
 }
 
 /**
@@ -107,29 +717,54 @@ function populatePortfolio(content) {
 function initPortfolioFilter() {
   console.log('[Security] Initializing portfolio filter...');
   
-  // Initialize filter buttons immediately if they exist
+  // Only the portfolio page has a filter nav
   const filterNav = document.querySelector('.filter-nav');
-  if (filterNav) {
-    initFilterButtons();
-  }
+  if (!filterNav) return;
   
-  // Wait for content to load for dynamic population
-  document.addEventListener('contentLoaded', (event) => {
-    const content = event.detail;
-    
-    populatePortfolio(content);
-    
-    // Re-initialize filter buttons if portfolio was populated dynamically
-    if (content.portfolio && content.portfolio.length > 0) {
-      initFilterButtons();
+  // Render step: prerendered pages already hold the controls
+  const facets = document.getElementById('portfolio-facets');
+  const isRendered = window.isPrerendered();
+  
+  if (!isRendered) {
+    if (facets) {
+      renderFacetControls(facets);
     }
-    
-    // Re-initialize animations
-    if (window.initScrollAnimations) {
-      setTimeout(() => window.initScrollAnimations(), 100);
+    renderPortfolioStatus();
+    renderEmptyState();
+  }
+  
+  // Cards are rendered again on every content load; filters from the URL
+  // need the content to know which categories and tags exist
+  window.contentStore.subscribe('portfolio', items => {
+    if (!Array.isArray(items)) return;
+    if (!isRendered) {
+      renderFilterButtons(filterNav);
+      renderTagFacets();
     }
-    
-    console.log('[Security] Portfolio filter ready');
+    portfolioFilters = readFiltersFromUrl();
+    applyPortfolioFilters(false);
+  });
+  
+  // Behavior step, left out at build time
+  if (window.isPrerendering()) return;
+  
+  initFilterButtons(filterNav);
+  
+  if (facets) {
+    initFacetControls(facets);
+  }
+  
+  const empty = document.getElementById('portfolio-empty');
+  if (empty) {
+    empty.addEventListener('click', event => {
+      if (event.target.closest('button')) clearPortfolioFilters();
+    });
+  }
+  
+  // Back and forward restore the filters of that entry
+  window.addEventListener('popstate', () => {
+    portfolioFilters = readFiltersFromUrl();
+    applyPortfolioFilters();
   });
 }
 
@@ -139,3 +774,14 @@ if (document.readyState === 'loading') {
 } else {
   initPortfolioFilter();
 }
+
+// Export for use in other modules
+window.portfolioFilter = {
+  getFilters: () => ({ ...portfolioFilters, tags: portfolioFilters.tags.slice() }),
+  setFilters: setPortfolioFilters,
+  matches: matchesPortfolioFilters,
+  getCategories: getFilterCategories,
+  getItems: getMatchingItems,
+  readFromUrl: readFiltersFromUrl,
+  setParams: setFilterParams
+};
@@ -0,0 +1,59 @@
+/**
+ * Proof-of-Work Worker
+ * Solves the contact form's hashcash-style challenge off the main thread for
+ * contact-bot-defense.js: finds the first nonce for which
+ * SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits.
+ *
+ * Message in:  { challenge: string, difficulty: number }
+ * Message out: { nonce: number, hash: string } or { error: string }
+ */
+
+const MAX_DIFFICULTY = 32;
+
+/**
+ * Count the zero bits at the start of a digest
+ */
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+
+  return bits;
+}
+
+/**
+ * Hex encode a digest
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+self.addEventListener('message', async (event) => {
+  const { challenge, difficulty } = event.data || {};
+
+  if (typeof challenge !== 'string' || !Number.isInteger(difficulty) || difficulty < 1 || difficulty > MAX_DIFFICULTY) {
+    self.postMessage({ error: 'Invalid challenge' });
+    return;
+  }
+
+  const encoder = new TextEncoder();
+
+  try {
+    for (let nonce = 0; ; nonce++) {
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`)));
+
+      if (countLeadingZeroBits(digest) >= difficulty) {
+        self.postMessage({ nonce, hash: toHex(digest) });
+        return;
+      }
+    }
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,583 @@
+/**
+ * Project Detail Module
+ * Shows the case study of a portfolio project (caseStudy in content.portfolio):
+ * client sector, challenge, approach, outcome metrics, technologies and a gallery.
+ *   - portfolio.html: in a Bootstrap modal, opened from a card or by a deep
+ *     link such as portfolio.html#project-3
+ *   - project.html?id=3: as a page of its own, also used when Bootstrap's
+ *     script is unavailable or a card is opened in a new tab. Prerendered
+ *     builds have one page per project instead, project-3.html.
+ *
+ * Previous/next step through the projects the active filter shows (see
+ * portfolio-filter.js). Project links carry the filter in their query string,
+ * so project.html steps through the same projects.
+ */
+
+const PROJECT_HASH_PATTERN = /^#project-(\d+)$/;
+
+let projectModal = null;
+let projectModalItemId = null;
+let projectModalReturnFocus = null;
+
+/**
+ * Project items from content.json
+ */
+function getProjects() {
+  const items = window.contentStore.getContent('portfolio');
+  return Array.isArray(items) ? items : [];
+}
+
+/**
+ * Find a project by id (a number in content, a string in URLs)
+ */
+function findProject(id) {
+  return getProjects().find(item => String(item.id) === String(id)) || null;
+}
+
+/**
+ * Display label of a project's category
+ */
+function getProjectCategoryLabel(item) {
+  return item.categoryLabel || item.category;
+}
+
+/**
+ * Projects that previous/next step through: those the filters show, or every
+ * project when this one is filtered out (e.g. opened by a deep link)
+ */
+function getProjectSequence(item, filters) {
+  const visible = window.portfolioFilter.getItems(filters);
+  return visible.some(entry => entry.id === item.id) ? visible : getProjects();
+}
+
+/**
+ * Previous and next project and the position of this one
+ */
+function getProjectNeighbours(item, filters) {
+  const sequence = getProjectSequence(item, filters);
+  const index = sequence.findIndex(entry => entry.id === item.id);
+
+  return {
+    previous: index > 0 ? sequence[index - 1] : null,
+    next: index < sequence.length - 1 ? sequence[index + 1] : null,
+    position: window.translate('project.position', { index: index + 1, total: sequence.length })
+  };
+}
+
+/**
+ * Query string for a page that keeps the current filters and language,
+ * without the project id
+ */
+function getListParams(filters) {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('id');
+  window.portfolioFilter.setParams(params, filters);
+  return params;
+}
+
+/**
+ * Link to a project's own page (pageUrl, see components.js), carrying the filters
+ */
+function getProjectUrl(item, filters) {
+  const [page, query = ''] = item.pageUrl.split('?');
+  const params = new URLSearchParams(query);
+  getListParams(filters).forEach((value, name) => params.append(name, value));
+  return params.toString() ? `${page}?${params}` : page;
+}
+
+/**
+ * Build an element with a class and text
+ */
+function createTextElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Build a case-study section with a heading, or null when it has no content
+ */
+function createCaseStudySection(headingLevel, titleKey, body) {
+  if (!body) return null;
+
+  const section = document.createElement('section');
+  section.className = 'case-study-section';
+  section.append(createTextElement(`h${headingLevel}`, 'case-study-heading', window.translate(titleKey)), body);
+  return section;
+}
+
+/**
+ * Build a list of strings, or null for an empty list
+ */
+function createTextList(tagName, className, items) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  const list = document.createElement(tagName);
+  list.className = className;
+  list.append(...items.map(text => createTextElement('li', '', text)));
+  return list;
+}
+
+/**
+ * Build the outcome metrics
+ */
+function createOutcomeList(outcomes) {
+  if (!Array.isArray(outcomes) || outcomes.length === 0) return null;
+
+  const list = document.createElement('ul');
+  list.className = 'case-study-outcomes';
+  list.append(...outcomes.map(outcome => {
+    const entry = document.createElement('li');
+    entry.append(
+      createTextElement('span', 'outcome-value', outcome.value),
+      createTextElement('span', 'outcome-label', outcome.label)
+    );
+    return entry;
+  }));
+  return list;
+}
+
+/**
+ * Build the gallery; images that fail to load are removed, and the whole
+ * section when none are left
+ */
+function createGallery(gallery) {
+  if (!Array.isArray(gallery) || gallery.length === 0) return null;
+
+  const grid = document.createElement('div');
+  grid.className = 'case-study-gallery';
+
+  gallery.forEach(entry => {
+    const sources = window.getImageSources(entry.image);
+    if (!sources) return;
+
+    const figure = document.createElement('figure');
+
+    const image = document.createElement('img');
+    image.src = sources.src;
+    if (sources.srcset) {
+      image.srcset = sources.srcset;
+      image.sizes = '(min-width: 992px) 360px, (min-width: 576px) 50vw, 100vw';
+    }
+    image.alt = entry.alt;
+    image.width = 1200;
+    image.height = 800;
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    image.addEventListener('error', () => {
+      const section = figure.closest('.case-study-section');
+      figure.remove();
+      if (section && grid.children.length === 0) section.remove();
+    });
+
+    figure.append(image, createTextElement('figcaption', '', entry.alt));
+    grid.appendChild(figure);
+  });
+
+  return grid.children.length > 0 ? grid : null;
+}
+
+/**
+ * Completion date of a project, e.g. "September 2024"
+ *
+ * @param {string} date - YYYY-MM or YYYY-MM-DD from content.portfolio
+ * @returns {string}
+ */
+function formatProjectDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const options = { year: 'numeric', month: 'long', timeZone: 'UTC' };
+  if (day) options.day = 'numeric';
+  return new Intl.DateTimeFormat(window.getLocale(), options).format(new Date(Date.UTC(year, month - 1, day || 1)));
+}
+
+/**
+ * Build the case study of a project
+ *
+ * @param {Object} item - Project from content.portfolio
+ * @param {number} headingLevel - Level of the section headings (below the project title)
+ * @returns {HTMLElement}
+ */
+function renderCaseStudy(item, headingLevel) {
+  const caseStudy = item.caseStudy || {};
+  const article = document.createElement('div');
+  article.className = 'case-study';
+
+  const meta = document.createElement('p');
+  meta.className = 'case-study-meta';
+  meta.appendChild(createTextElement('span', 'case-study-category', getProjectCategoryLabel(item)));
+  if (caseStudy.sector) {
+    meta.append(' ', createTextElement('span', 'case-study-sector', window.translate('project.sector', { sector: caseStudy.sector })));
+  }
+  if (item.date) {
+    const date = createTextElement('time', 'case-study-date', window.translate('project.completed', { date: formatProjectDate(item.date) }));
+    date.dateTime = item.date;
+    meta.append(' ', date);
+  }
+
+  article.append(meta, createTextElement('p', 'lead', item.description));
+
+  [
+    createCaseStudySection(headingLevel, 'project.challenge', caseStudy.challenge && createTextElement('p', '', caseStudy.challenge)),
+    createCaseStudySection(headingLevel, 'project.approach', createTextList('ol', 'case-study-approach', caseStudy.approach)),
+    createCaseStudySection(headingLevel, 'project.outcomes', createOutcomeList(caseStudy.outcomes)),
+    createCaseStudySection(headingLevel, 'project.technologies', createTextList('ul', 'case-study-technologies', caseStudy.technologies)),
+    createCaseStudySection(headingLevel, 'project.gallery', createGallery(caseStudy.gallery))
+  ].filter(Boolean).forEach(section => article.appendChild(section));
+
+  return article;
+}
+
+/**
+ * Arrow icon for a step (mirrored by the stylesheet on right-to-left pages)
+ */
+function createStepIcon(step) {
+  const icon = document.createElement('i');
+  icon.className = `bi ${step < 0 ? 'bi-arrow-left' : 'bi-arrow-right'}`;
+  icon.setAttribute('aria-hidden', 'true');
+  return icon;
+}
+
+/**
+ * Build the project modal once
+ */
+function createProjectModal() {
+  const element = document.createElement('div');
+  element.className = 'modal fade project-modal';
+  element.id = 'project-modal';
+  element.tabIndex = -1;
+  element.setAttribute('aria-labelledby', 'project-modal-title');
+  element.setAttribute('aria-hidden', 'true');
+
+  const dialog = document.createElement('div');
+  dialog.className = 'modal-dialog modal-lg modal-dialog-scrollable';
+
+  const content = document.createElement('div');
+  content.className = 'modal-content';
+
+  const header = document.createElement('div');
+  header.className = 'modal-header';
+
+  const title = createTextElement('h2', 'modal-title h4', '');
+  title.id = 'project-modal-title';
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'btn-close';
+  close.setAttribute('data-bs-dismiss', 'modal');
+  close.setAttribute('aria-label', window.translate('project.close'));
+
+  header.append(title, close);
+
+  const body = document.createElement('div');
+  body.className = 'modal-body';
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-footer project-nav';
+
+  const previous = document.createElement('button');
+  previous.type = 'button';
+  previous.className = 'btn btn-outline-primary';
+  previous.append(createStepIcon(-1), ` ${window.translate('project.previous')}`);
+
+  // Announces the new position when stepping through projects
+  const position = createTextElement('span', 'project-position', '');
+  position.setAttribute('aria-live', 'polite');
+
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'btn btn-outline-primary';
+  next.append(`${window.translate('project.next')} `, createStepIcon(1));
+
+  const page = createTextElement('a', 'btn btn-link project-page-link', window.translate('project.openPage'));
+
+  footer.append(previous, position, next, page);
+  content.append(header, body, footer);
+  dialog.appendChild(content);
+  element.appendChild(dialog);
+  document.body.appendChild(element);
+
+  previous.addEventListener('click', () => stepProjectModal(-1));
+  next.addEventListener('click', () => stepProjectModal(1));
+  element.addEventListener('hidden.bs.modal', handleProjectModalHidden);
+
+  return {
+    element,
+    instance: new window.bootstrap.Modal(element),
+    title,
+    body,
+    previous,
+    position,
+    next,
+    page
+  };
+}
+
+/**
+ * Fill the modal with a project
+ */
+function showProjectInModal(item) {
+  const filters = window.portfolioFilter.getFilters();
+  const { previous, next, position } = getProjectNeighbours(item, filters);
+
+  projectModalItemId = item.id;
+  projectModal.title.textContent = item.title;
+  projectModal.body.replaceChildren(renderCaseStudy(item, 3));
+  projectModal.body.scrollTop = 0;
+  projectModal.previous.disabled = previous === null;
+  projectModal.next.disabled = next === null;
+  projectModal.position.textContent = position;
+  projectModal.page.href = getProjectUrl(item, filters);
+}
+
+/**
+ * URL of the portfolio page with or without a project hash
+ */
+function getProjectHashUrl(id) {
+  const url = new URL(window.location.href);
+  url.hash = id === null ? '' : `project-${id}`;
+  return url.href.replace(/#$/, '');
+}
+
+/**
+ * Open a project in the modal
+ *
+ * @param {number|string} id - Project id
+ * @param {boolean} [addHistory] - Add a history entry, so Back closes the modal
+ * @returns {boolean} Whether the project exists and the modal could open
+ */
+function openProjectModal(id, addHistory = true) {
+  const item = findProject(id);
+  if (!item || !window.bootstrap) return false;
+
+  if (!projectModal) {
+    projectModal = createProjectModal();
+  }
+
+  if (projectModalItemId === null) {
+    projectModalReturnFocus = document.activeElement;
+  }
+
+  showProjectInModal(item);
+  if (addHistory && window.location.hash !== `#project-${item.id}`) {
+    window.history.pushState({ ...window.history.state, projectModal: true }, '', getProjectHashUrl(item.id));
+  }
+  projectModal.instance.show();
+
+  console.log(`[Security] Project ${item.id} opened`);
+  return true;
+}
+
+/**
+ * Show the previous (-1) or next (1) project in the open modal
+ */
+function stepProjectModal(step) {
+  const item = findProject(projectModalItemId);
+  if (!item) return;
+
+  const neighbours = getProjectNeighbours(item, window.portfolioFilter.getFilters());
+  const target = step < 0 ? neighbours.previous : neighbours.next;
+  if (!target) return;
+
+  showProjectInModal(target);
+  // Stepping replaces the entry, so Back still closes the modal
+  window.history.replaceState(window.history.state, '', getProjectHashUrl(target.id));
+
+  const button = step < 0 ? projectModal.previous : projectModal.next;
+  if (button.disabled) {
+    (step < 0 ? projectModal.next : projectModal.previous).focus();
+  }
+}
+
+/**
+ * Remove the project hash once the modal has closed
+ */
+function handleProjectModalHidden() {
+  projectModalItemId = null;
+
+  if (PROJECT_HASH_PATTERN.test(window.location.hash)) {
+    if (window.history.state && window.history.state.projectModal) {
+      window.history.back();
+    } else {
+      window.history.replaceState(window.history.state, '', getProjectHashUrl(null));
+    }
+  }
+
+  // Focus goes back to the card that opened the modal
+  if (projectModalReturnFocus && projectModalReturnFocus.isConnected) {
+    projectModalReturnFocus.focus();
+  }
+  projectModalReturnFocus = null;
+}
+
+/**
+ * Open or close the modal to match the hash, e.g. after Back or Forward
+ */
+function syncProjectModalWithHash() {
+  const match = PROJECT_HASH_PATTERN.exec(window.location.hash);
+
+  if (match) {
+    if (String(projectModalItemId) !== match[1]) {
+      openProjectModal(match[1], false);
+    }
+  } else if (projectModal && projectModalItemId !== null) {
+    projectModal.instance.hide();
+  }
+}
+
+/**
+ * Point every card's link at its project page with the current filters
+ */
+function updateProjectLinks() {
+  const filters = window.portfolioFilter.getFilters();
+
+  document.querySelectorAll('.portfolio-card').forEach(card => {
+    const link = card.querySelector('.portfolio-link');
+    const item = findProject(card.getAttribute('data-id'));
+    if (link && item) {
+      link.href = getProjectUrl(item, filters);
+    }
+  });
+}
+
+/**
+ * Open cards in the modal; modified clicks (new tab, new window) follow the link
+ */
+function initProjectCards(grid) {
+  grid.addEventListener('click', event => {
+    const link = event.target.closest('.portfolio-link');
+    if (!link || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const card = link.closest('.portfolio-card');
+    if (card && openProjectModal(card.getAttribute('data-id'))) {
+      event.preventDefault();
+    }
+  });
+
+  // Cards are rendered again on every content load
+  window.contentStore.subscribe('portfolio', items => {
+    if (!Array.isArray(items)) return;
+    updateProjectLinks();
+
+    const item = projectModalItemId === null ? null : findProject(projectModalItemId);
+    if (item) {
+      showProjectInModal(item);
+    } else {
+      syncProjectModalWithHash();
+    }
+  });
+
+  document.addEventListener('portfolioFiltered', updateProjectLinks);
+  window.addEventListener('popstate', syncProjectModalWithHash);
+}
+
+/**
+ * Build a previous/next link of the project page, hidden at either end
+ */
+function setProjectStepLink(link, item, filters) {
+  link.hidden = item === null;
+  if (item) {
+    link.href = getProjectUrl(item, filters);
+    link.querySelector('.project-step-title').textContent = item.title;
+  }
+}
+
+/**
+ * Id of the project a page shows: the query string of project.html, or the
+ * project a prerendered project-3.html was built for
+ */
+function getRequestedProjectId(page) {
+  return new URLSearchParams(window.location.search).get('id') || page.dataset.projectId || null;
+}
+
+/**
+ * Point the back and previous/next links of a project page at the lists the
+ * filters in the query string show
+ */
+function updateProjectPageLinks(page, item) {
+  const filters = window.portfolioFilter.readFromUrl();
+
+  page.querySelectorAll('[data-project-back]').forEach(link => {
+    const listParams = getListParams(filters).toString();
+    link.href = listParams ? `portfolio.html?${listParams}` : 'portfolio.html';
+    link.querySelector('.project-back-label').textContent = window.translate('project.back');
+  });
+
+  if (!item) return;
+
+  const { previous, next, position } = getProjectNeighbours(item, filters);
+  setProjectStepLink(page.querySelector('[data-project-step="previous"]'), previous, filters);
+  setProjectStepLink(page.querySelector('[data-project-step="next"]'), next, filters);
+  document.getElementById('project-position').textContent = position;
+}
+
+/**
+ * Render the project page for the requested id
+ */
+function renderProjectPage(page) {
+  const id = getRequestedProjectId(page);
+  const item = findProject(id);
+  const title = document.getElementById('project-title');
+  const detail = document.getElementById('project-detail');
+  const nav = document.getElementById('project-nav');
+  const siteTitle = window.contentStore.getContent('site.title');
+
+  updateProjectPageLinks(page, item);
+
+  if (!item) {
+    delete page.dataset.projectId;
+    title.textContent = window.translate('project.notFound');
+    detail.replaceChildren(createTextElement('p', 'lead', window.translate('project.notFoundText')));
+    nav.hidden = true;
+    console.warn('[Security] Unknown project requested:', id);
+    return;
+  }
+
+  page.dataset.projectId = String(item.id);
+  title.textContent = item.title;
+  document.title = siteTitle ? `${item.title} - ${siteTitle}` : item.title;
+  detail.replaceChildren(renderCaseStudy(item, 2));
+  nav.hidden = false;
+}
+
+/**
+ * Initialize project details
+ */
+function initProjectDetail() {
+  const page = document.getElementById('project-page');
+  if (page) {
+    window.contentStore.subscribe('portfolio', items => {
+      if (!Array.isArray(items)) return;
+
+      const id = getRequestedProjectId(page);
+
+      // project.html without an id has nothing to build at build time; a
+      // prerendered project page only needs its links to carry the filters
+      if (window.isPrerendering() && id === null) return;
+      if (window.isPrerendered() && page.dataset.projectId === id) {
+        updateProjectPageLinks(page, findProject(id));
+      } else {
+        renderProjectPage(page);
+      }
+    });
+  }
+
+  // The modal, card clicks and filtered links are behavior, left out at build time
+  const grid = document.getElementById('portfolio-grid');
+  if (grid && !window.isPrerendering()) {
+    initProjectCards(grid);
+  }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initProjectDetail);
+} else {
+  initProjectDetail();
+}
+
+// Export for use in other modules
+window.projectDetail = {
+  open: openProjectModal,
+  render: renderCaseStudy
+};
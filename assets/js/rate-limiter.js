@@ -0,0 +1,244 @@
+/**
+ * Rate Limiter Module
+ * Client-side limits for interactive features (the contact form, a future
+ * newsletter signup). Each limiter is created with:
+ *   key       - storage key of its state
+ *   algorithm - "sliding-window" (at most `limit` actions in any `window` ms)
+ *               or "token-bucket" (`limit` tokens, refilled evenly over `window` ms)
+ *   limit     - actions allowed per window
+ *   window    - milliseconds
+ *   storage   - "local", "session", "memory" or an object with
+ *               getItem/setItem/removeItem
+ *   backoff   - after `after` failures in a row (invalid input, honeypot hits),
+ *               each further failure blocks for `base` ms, doubled every
+ *               time up to `max` ms
+ *
+ * The state lives in the browser and can be cleared by the visitor; it keeps
+ * honest visitors from flooding a backend, which must enforce its own limits.
+ * Runs in the browser (window.createRateLimiter) and in Node (module.exports).
+ */
+
+const DEFAULT_RATE_LIMIT_CONFIG = {
+  algorithm: 'sliding-window',
+  limit: 3,
+  window: 60 * 60 * 1000,
+  storage: 'local',
+  backoff: {
+    after: 3,
+    base: 5000,
+    max: 5 * 60 * 1000
+  }
+};
+
+/**
+ * Storage that lasts as long as the page
+ */
+function createMemoryStorage() {
+  const items = new Map();
+
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Resolve the storage option; web storage falls back to memory where it is
+ * missing (Node) or blocked (privacy settings)
+ */
+function resolveRateLimitStorage(storage) {
+  if (storage && typeof storage === 'object') return storage;
+
+  try {
+    if (storage === 'local' && typeof localStorage !== 'undefined') return localStorage;
+    if (storage === 'session' && typeof sessionStorage !== 'undefined') return sessionStorage;
+  } catch (error) {
+    // Accessing web storage throws when it is disabled
+  }
+
+  return createMemoryStorage();
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options - See the module comment; `key` is required
+ * @returns {Object} check(), record(), recordFailure(), resetFailures(), reset()
+ */
+function createRateLimiter(options) {
+  const config = {
+    ...DEFAULT_RATE_LIMIT_CONFIG,
+    ...options,
+    backoff: { ...DEFAULT_RATE_LIMIT_CONFIG.backoff, ...(options && options.backoff) }
+  };
+  if (!(config.limit >= 1) || !(config.window > 0)) {
+    console.warn(`[Security] Invalid rate limit for ${config.key}, using the default`);
+    config.limit = DEFAULT_RATE_LIMIT_CONFIG.limit;
+    config.window = DEFAULT_RATE_LIMIT_CONFIG.window;
+  }
+
+  const storage = resolveRateLimitStorage(config.storage);
+  const backoffKey = `${config.key}_backoff`;
+  const isTokenBucket = config.algorithm === 'token-bucket';
+
+  /**
+   * Read a JSON value, or the fallback when it is missing or malformed
+   */
+  function read(key, fallback) {
+    try {
+      const value = JSON.parse(storage.getItem(key));
+      return value === null ? fallback : value;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Write a JSON value; a full or blocked storage only loses the limit
+   */
+  function write(key, value) {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn('[Security] Rate limit state not saved:', error.message);
+    }
+  }
+
+  /**
+   * Sliding window: timestamps of actions still inside the window, oldest first
+   */
+  function getRecentActions(now) {
+    const actions = read(config.key, []);
+    return (Array.isArray(actions) ? actions : [])
+      .filter(time => typeof time === 'number' && now - time < config.window)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Token bucket: tokens available now
+   */
+  function getTokens(now) {
+    const bucket = read(config.key, null);
+    if (!bucket || typeof bucket.tokens !== 'number' || typeof bucket.updatedAt !== 'number') {
+      return config.limit;
+    }
+
+    const refilled = bucket.tokens + (now - bucket.updatedAt) * (config.limit / config.window);
+    return Math.min(config.limit, refilled);
+  }
+
+  /**
+   * Remaining actions and when the next one becomes available if none remain
+   */
+  function getAllowance(now) {
+    if (isTokenBucket) {
+      const tokens = getTokens(now);
+      return {
+        remaining: Math.floor(tokens),
+        nextAt: tokens >= 1 ? now : now + Math.ceil((1 - tokens) * (config.window / config.limit))
+      };
+    }
+
+    const recent = getRecentActions(now);
+    const remaining = Math.max(0, config.limit - recent.length);
+    return {
+      remaining,
+      nextAt: remaining > 0 ? now : recent[recent.length - config.limit] + config.window
+    };
+  }
+
+  /**
+   * Backoff state, forgotten once the last failure is a window old
+   */
+  function getBackoff(now) {
+    const backoff = read(backoffKey, null);
+    if (!backoff || typeof backoff.failures !== 'number' || now - backoff.lastFailure >= config.window) {
+      return { failures: 0, until: 0, lastFailure: 0 };
+    }
+    return backoff;
+  }
+
+  return {
+    /**
+     * Check whether an action is allowed now
+     *
+     * @param {number} [pending] - Actions already waiting (e.g. queued messages)
+     * @returns {{ allowed: boolean, reason: string|null, retryAt: number|null, remaining: number }}
+     *   reason is "limit", "pending" (only the waiting actions are in the way)
+     *   or "backoff"; retryAt is when the action will be allowed (not for "pending")
+     */
+    check(pending = 0, now = Date.now()) {
+      const { remaining, nextAt } = getAllowance(now);
+
+      if (remaining === 0) {
+        return { allowed: false, reason: 'limit', retryAt: nextAt, remaining };
+      }
+      if (remaining <= pending) {
+        return { allowed: false, reason: 'pending', retryAt: null, remaining };
+      }
+
+      const backoff = getBackoff(now);
+      if (backoff.until > now) {
+        return { allowed: false, reason: 'backoff', retryAt: backoff.until, remaining };
+      }
+
+      return { allowed: true, reason: null, retryAt: null, remaining };
+    },
+
+    /**
+     * Count an action against the limit
+     */
+    record(now = Date.now()) {
+      if (isTokenBucket) {
+        write(config.key, { tokens: Math.max(0, getTokens(now) - 1), updatedAt: now });
+      } else {
+        // Only the last `limit` actions can decide when the next is allowed
+        write(config.key, [...getRecentActions(now), now].slice(-config.limit));
+      }
+    },
+
+    /**
+     * Count a failed attempt; past the threshold each one doubles the wait
+     *
+     * @returns {number} Milliseconds until the next attempt is allowed (0 if none)
+     */
+    recordFailure(now = Date.now()) {
+      const failures = getBackoff(now).failures + 1;
+      const { after, base, max } = config.backoff;
+      const wait = failures >= after ? Math.min(max, base * 2 ** (failures - after)) : 0;
+
+      write(backoffKey, { failures, until: now + wait, lastFailure: now });
+      if (wait > 0) {
+        console.warn(`[Security] ${failures} failed attempts, next allowed in ${wait}ms`);
+      }
+      return wait;
+    },
+
+    /**
+     * Forget failed attempts, e.g. after a successful action
+     */
+    resetFailures() {
+      storage.removeItem(backoffKey);
+    },
+
+    /**
+     * Forget everything
+     */
+    reset() {
+      storage.removeItem(config.key);
+      storage.removeItem(backoffKey);
+    }
+  };
+}
+
+// Export for Node (server) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_RATE_LIMIT_CONFIG,
+    createRateLimiter
+  };
+} else {
+  window.DEFAULT_RATE_LIMIT_CONFIG = DEFAULT_RATE_LIMIT_CONFIG;
+  window.createRateLimiter = createRateLimiter;
+}
@@ -0,0 +1,173 @@
+/**
+ * Theme Module
+ * Applies the light or dark theme through Bootstrap's data-bs-theme attribute,
+ * follows prefers-color-scheme until the visitor picks a theme, and applies
+ * brand colors from the content "theme" section as CSS custom properties
+ * Loaded in <head> after i18n.js so the theme is set before first paint
+ */
+
+const THEME_STORAGE_KEY = 'preferred_theme';
+const THEMES = ['light', 'dark'];
+
+/**
+ * Content theme tokens and the CSS custom properties they set
+ */
+const THEME_TOKEN_PROPERTIES = {
+  primary: '--primary-color',
+  primaryHover: '--primary-hover-color',
+  text: '--text-color',
+  mutedText: '--muted-text-color',
+  surface: '--surface-color',
+  mutedSurface: '--surface-muted-color'
+};
+
+const colorSchemeQuery = window.matchMedia
+  ? window.matchMedia('(prefers-color-scheme: dark)')
+  : null;
+
+let themeTokens = null;
+
+/**
+ * Read the saved theme preference (storage may be unavailable)
+ */
+function getSavedTheme() {
+  try {
+    const saved = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(saved) ? saved : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save the theme preference
+ */
+function saveTheme(theme) {
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, theme);
+  } catch (error) {
+    console.warn('[Security] Could not save theme preference');
+  }
+}
+
+/**
+ * Resolve the theme: saved preference, then the system color scheme
+ */
+function resolveTheme() {
+  return getSavedTheme() || (colorSchemeQuery && colorSchemeQuery.matches ? 'dark' : 'light');
+}
+
+/**
+ * Get the active theme
+ */
+function getTheme() {
+  return document.documentElement.getAttribute('data-bs-theme') === 'dark' ? 'dark' : 'light';
+}
+
+/**
+ * Set the brand color properties for the active theme.
+ * Tokens missing for the theme fall back to the values in style.css.
+ */
+function applyThemeTokens() {
+  const root = document.documentElement;
+  const tokens = (themeTokens && themeTokens[getTheme()]) || {};
+
+  Object.keys(THEME_TOKEN_PROPERTIES).forEach(token => {
+    const property = THEME_TOKEN_PROPERTIES[token];
+    const value = tokens[token];
+
+    if (typeof value === 'string' && (!window.CSS || CSS.supports('color', value))) {
+      root.style.setProperty(property, value);
+    } else {
+      root.style.removeProperty(property);
+    }
+  });
+}
+
+/**
+ * Update every theme toggle button to offer the other theme
+ */
+function syncThemeToggles() {
+  const nextTheme = getTheme() === 'dark' ? 'light' : 'dark';
+  const label = window.translate(nextTheme === 'dark' ? 'theme.switchToDark' : 'theme.switchToLight');
+
+  document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+    button.setAttribute('aria-label', label);
+    button.setAttribute('title', label);
+
+    const icon = button.querySelector('.bi');
+    if (icon) {
+      icon.classList.toggle('bi-moon-stars-fill', nextTheme === 'dark');
+      icon.classList.toggle('bi-sun-fill', nextTheme === 'light');
+    }
+  });
+}
+
+/**
+ * Apply a theme to the document
+ */
+function applyTheme(theme) {
+  document.documentElement.setAttribute('data-bs-theme', theme);
+  applyThemeTokens();
+  syncThemeToggles();
+}
+
+/**
+ * Switch theme and remember the choice
+ */
+function setTheme(theme) {
+  if (!THEMES.includes(theme)) return;
+
+  saveTheme(theme);
+  applyTheme(theme);
+}
+
+/**
+ * Use brand colors from the content "theme" section ({ light: {...}, dark: {...} })
+ */
+function setThemeTokens(tokens) {
+  themeTokens = tokens || null;
+  applyThemeTokens();
+}
+
+/**
+ * Wire toggles, system preference changes and other tabs
+ */
+function initTheme() {
+  // Delegated, so toggles injected with the header later need no wiring
+  document.addEventListener('click', (event) => {
+    const toggle = event.target.closest('[data-theme-toggle]');
+    if (toggle) {
+      setTheme(getTheme() === 'dark' ? 'light' : 'dark');
+    }
+  });
+
+  // Follow the system setting until the visitor picks a theme
+  if (colorSchemeQuery) {
+    colorSchemeQuery.addEventListener('change', () => {
+      if (!getSavedTheme()) applyTheme(resolveTheme());
+    });
+  }
+
+  // Keep other open tabs in sync
+  window.addEventListener('storage', (event) => {
+    if (event.key === THEME_STORAGE_KEY) applyTheme(resolveTheme());
+  });
+
+  document.addEventListener('DOMContentLoaded', () => {
+    syncThemeToggles();
+
+    if (window.contentStore) {
+      window.contentStore.subscribe('theme', setThemeTokens);
+    }
+  });
+}
+
+// Set the attribute right away; the stylesheets see it before first paint
+applyTheme(resolveTheme());
+initTheme();
+
+// Export functions for use in other modules
+window.getTheme = getTheme;
+window.setTheme = setTheme;
+window.syncThemeToggles = syncThemeToggles;
@@ -0,0 +1,811 @@
+#!/usr/bin/env node
+/**
+ * Reference Contact Backend
+ * Serves the site and accepts contact form submissions on POST /api/contact
+ * without any dependencies. Everything the browser checks is checked again:
+ *   CSRF        - double-submit cookie: the csrf_token cookie must match the
+ *                 X-CSRF-Token header or the csrf_token field
+ *   Validation  - contactForm.fields through form-validation.js, wizard
+ *                 choices, attachments through file-signatures.js
+ *   Bot defense - honeypot and the proof of work from contact-bot-defense.js
+ *   Rate limit  - accepted submissions per IP in a sliding window, with the
+ *                 limiter from rate-limiter.js
+ * Accepted submissions are appended to a JSON-lines file and attachments are
+ * saved next to it. A repeated Idempotency-Key is answered without saving again.
+ *
+ * Usage: node server/contact-server.js [--port <n>] [--submissions <file>]
+ *                                      [--rate-limit <n>] [--rate-window <ms>] [--trust-proxy [hops]]
+ *   --submissions <file>  JSON-lines file (default server/data/submissions.jsonl)
+ *   --rate-limit <n>      accepted submissions per IP per window (default 3)
+ *   --rate-window <ms>    rate limit window (default one hour)
+ *   --trust-proxy [hops]  take the client IP from X-Forwarded-For, as added by
+ *                         the nearest <hops> reverse proxies (default 1)
+ * Also usable from tests: require() it and call createContactServer(options).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { DEFAULT_CONTACT_FIELDS, isAllowedFieldName, validateSubmission } = require('../assets/js/form-validation.js');
+const { ATTACHMENT_SIGNATURES, checkFileSignature } = require('../assets/js/file-signatures.js');
+const { createRateLimiter } = require('../assets/js/rate-limiter.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const DEFAULT_OPTIONS = {
+  port: 8080,
+  rootDir: ROOT_DIR,
+  submissions: path.join(__dirname, 'data', 'submissions.jsonl'),
+  rateLimit: 3,
+  rateWindow: 60 * 60 * 1000,
+  // Requests of any kind per IP per window, accepted or not
+  attemptLimit: 30,
+  // Reverse proxies in front of the server that append to X-Forwarded-For
+  trustProxy: 0
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+// Only the site itself is served: no tools, server data, dotfiles or node_modules
+const STATIC_PATH_PATTERN = /^\/(?:[a-z0-9-]+\.html|sw\.js|favicon\.ico|assets\/[\w./-]+|includes\/[a-z0-9-]+\.html|data\/content\.[a-z]{2}\.json)$/;
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin'
+};
+
+// __Host- is used on HTTPS, where the browser enforces Secure and Path=/
+const CSRF_COOKIE_NAMES = ['__Host-csrf_token', 'csrf_token'];
+const CSRF_HEADER = 'x-csrf-token';
+
+const MAX_FIELDS_BODY = 64 * 1024;
+
+// Flattened names that are lists even when a single value is sent
+const LIST_FIELDS = ['inquiry.services', 'inquiry.compliance', 'proof.signals'];
+
+// A proof must be used within this time of being issued (client clock)
+const PROOF_MAX_AGE = 2 * 60 * 60 * 1000;
+const PROOF_CLOCK_SKEW = 10 * 60 * 1000;
+
+/**
+ * Error answered with a status code and JSON body
+ */
+class HttpError extends Error {
+  constructor(status, body, headers = {}) {
+    super(body.error || `HTTP ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port' && argv[i + 1]) {
+      options.port = Number(argv[++i]);
+    } else if (argv[i] === '--submissions' && argv[i + 1]) {
+      options.submissions = path.resolve(argv[++i]);
+    } else if (argv[i] === '--rate-limit' && argv[i + 1]) {
+      options.rateLimit = Number(argv[++i]);
+    } else if (argv[i] === '--rate-window' && argv[i + 1]) {
+      options.rateWindow = Number(argv[++i]);
+    } else if (argv[i] === '--trust-proxy') {
+      options.trustProxy = /^\d+$/.test(argv[i + 1] || '') ? Number(argv[++i]) : 1;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    ...SECURITY_HEADERS,
+    'Content-Type': CONTENT_TYPES['.json'],
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Log a rejected submission
+ */
+function logRejection(ip, reason) {
+  console.log(`[Security] Contact submission from ${ip} rejected: ${reason}`);
+}
+
+/**
+ * Memory storage for the rate limiters. It holds an entry per IP, so entries
+ * not written for a whole window, which can no longer limit anyone, are swept
+ * out once per window instead of piling up.
+ *
+ * @param {number} windowMs - Window length of the limiters using it
+ * @returns {Object} getItem/setItem/removeItem, as rate-limiter.js expects
+ */
+function createExpiringStorage(windowMs) {
+  const items = new Map();
+  let lastSweep = Date.now();
+
+  /**
+   * Drop entries that have not been written for a window
+   */
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    items.forEach((item, key) => {
+      if (now - item.updatedAt >= windowMs) items.delete(key);
+    });
+  }
+
+  return {
+    getItem: key => (items.has(key) ? items.get(key).value : null),
+    setItem: (key, value) => {
+      const now = Date.now();
+      sweep(now);
+      items.set(key, { value: String(value), updatedAt: now });
+    },
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Sliding-window limit per IP, using the shared limiter from rate-limiter.js
+ *
+ * @param {string} name - Prefix of the storage keys
+ * @param {number} limit - Hits allowed per window
+ * @param {number} windowMs - Window length
+ */
+function createIpRateLimiter(name, limit, windowMs) {
+  const storage = createExpiringStorage(windowMs);
+  const forIp = ip => createRateLimiter({ key: `${name}:${ip}`, limit, window: windowMs, storage });
+
+  return {
+    /**
+     * @returns {{ allowed: boolean, retryAfter: number }} retryAfter in seconds
+     */
+    check(ip, now = Date.now()) {
+      const result = forIp(ip).check(0, now);
+      if (result.allowed) return { allowed: true, retryAfter: 0 };
+      return { allowed: false, retryAfter: Math.max(1, Math.ceil((result.retryAt - now) / 1000)) };
+    },
+
+    record(ip, now = Date.now()) {
+      forIp(ip).record(now);
+    }
+  };
+}
+
+/**
+ * Client IP, from X-Forwarded-For only behind trusted proxies. Each proxy
+ * appends the address it received the request from, so only the last
+ * `hops` entries are trustworthy; anything before them was sent by the client.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {number|boolean} hops - Trusted reverse proxies (true counts as one)
+ */
+function getClientIp(req, hops) {
+  const proxies = Number(hops) || 0;
+  const entries = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  const forwarded = proxies > 0 ? entries[entries.length - proxies] : '';
+  return forwarded || req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Parse a Cookie header
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (error) {
+      // Malformed values are ignored
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Compare two secrets in constant time
+ */
+function tokensMatch(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a === '') return false;
+
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Locale of the submission, from Accept-Language, if it has a content file
+ */
+function pickLocale(req, rootDir) {
+  const requested = String(req.headers['accept-language'] || '')
+    .split(',')
+    .map(tag => tag.split(';')[0].trim().slice(0, 2).toLowerCase())
+    .filter(tag => /^[a-z]{2}$/.test(tag));
+
+  return requested.find(locale => fs.existsSync(path.join(rootDir, 'data', `content.${locale}.json`))) || 'en';
+}
+
+/**
+ * Read the content file of a locale; it is read per request so edits apply
+ * without a restart
+ */
+async function loadContent(rootDir, locale) {
+  const raw = await fs.promises.readFile(path.join(rootDir, 'data', `content.${locale}.json`), 'utf8');
+  return JSON.parse(raw);
+}
+
+/**
+ * Read a request body up to a size limit
+ */
+function readRawBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (declared > limit) {
+      reject(new HttpError(413, { error: 'Payload too large' }));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, { error: 'Payload too large' }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Turn flattened [name, value] pairs back into nested data: dotted names
+ * become objects and repeated names (or LIST_FIELDS) become arrays
+ */
+function unflattenFields(pairs) {
+  const data = {};
+
+  pairs.forEach(([name, value]) => {
+    const keys = name.split('.');
+    const last = keys.pop();
+    let target = data;
+
+    for (const key of keys) {
+      if (key === '__proto__' || key === 'constructor' || key === 'prototype') return;
+      if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    if (last === '__proto__' || last === 'constructor' || last === 'prototype') return;
+
+    if (LIST_FIELDS.includes(name)) {
+      target[last] = [...(target[last] || []), value];
+    } else if (Object.prototype.hasOwnProperty.call(target, last)) {
+      target[last] = [].concat(target[last], value);
+    } else {
+      target[last] = value;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Split a multipart/form-data body into fields and files
+ */
+function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const pairs = [];
+  const files = [];
+  let start = body.indexOf(delimiter);
+
+  if (start === -1) throw new HttpError(400, { error: 'Malformed body' });
+
+  for (;;) {
+    start += delimiter.length;
+    if (body.subarray(start, start + 2).toString() === '--') break;
+    start += 2;
+
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) throw new HttpError(400, { error: 'Malformed body' });
+
+    // Each part ends with CRLF before the next delimiter
+    const part = body.subarray(start, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) throw new HttpError(400, { error: 'Malformed body' });
+
+    const headers = part.subarray(0, headerEnd).toString('utf8');
+    const content = part.subarray(headerEnd + 4);
+    const name = /;\s*name="([^"]*)"/i.exec(headers);
+    const filename = /;\s*filename="([^"]*)"/i.exec(headers);
+
+    if (name && filename) {
+      files.push({ field: name[1], name: filename[1], data: content });
+    } else if (name) {
+      pairs.push([name[1], content.toString('utf8')]);
+    }
+
+    start = end;
+  }
+
+  return { pairs, files };
+}
+
+/**
+ * Decode a JSON, form-encoded or multipart body
+ *
+ * @returns {Promise<{ data: Object, files: Array }>}
+ */
+async function readSubmission(req, maxAttachmentSize) {
+  const contentType = String(req.headers['content-type'] || '');
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+    if (!boundary) throw new HttpError(400, { error: 'Malformed body' });
+
+    const body = await readRawBody(req, maxAttachmentSize + MAX_FIELDS_BODY);
+    const { pairs, files } = parseMultipart(body, boundary[1] || boundary[2]);
+    return { data: unflattenFields(pairs), files };
+  }
+
+  if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    const body = await readRawBody(req, MAX_FIELDS_BODY);
+    return { data: unflattenFields(Array.from(new URLSearchParams(body.toString('utf8')))), files: [] };
+  }
+
+  if (contentType.startsWith('application/json')) {
+    const body = await readRawBody(req, MAX_FIELDS_BODY);
+    let data;
+    try {
+      data = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      throw new HttpError(400, { error: 'Malformed body' });
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new HttpError(400, { error: 'Malformed body' });
+    }
+    return { data, files: [] };
+  }
+
+  throw new HttpError(415, { error: 'Unsupported content type' });
+}
+
+/**
+ * Reject requests another site started: Origin, when sent, must be this host
+ */
+function checkOrigin(req) {
+  if (req.headers['sec-fetch-site'] && !['same-origin', 'none'].includes(req.headers['sec-fetch-site'])) {
+    return false;
+  }
+
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Double-submit check: the cookie must match the header or the field
+ */
+function checkCsrf(req, data) {
+  const cookies = parseCookies(req.headers.cookie);
+  const cookieToken = CSRF_COOKIE_NAMES.map(name => cookies[name]).find(Boolean);
+  const sentToken = req.headers[CSRF_HEADER] || data.csrf_token;
+
+  return tokensMatch(cookieToken, typeof sentToken === 'string' ? sentToken : '');
+}
+
+/**
+ * Count the zero bits at the start of a digest
+ */
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+
+  return bits;
+}
+
+/**
+ * Verify the proof of work from contact-bot-defense.js
+ *
+ * @param {Object} proof - The submission's proof object
+ * @param {Object} config - contactForm.botDefense from content.json
+ * @param {string} host - Host the form was served from
+ * @param {Map} seenChallenges - Challenges already used, with their expiry
+ * @returns {string|null} Why the proof was refused, or null if it holds
+ */
+function verifyProof(proof, config, host, seenChallenges) {
+  if (!proof || typeof proof.challenge !== 'string' || proof.challenge === '') return 'missing';
+
+  // The host may carry a port, so the salt is taken from the end
+  const [version, bits, issuedAt, ...rest] = proof.challenge.split(':');
+  const salt = rest.pop();
+  const resource = rest.join(':');
+  const difficulty = Number(bits);
+  const issued = Number(issuedAt);
+  const now = Date.now();
+
+  if (version !== '1' || !salt || !Number.isInteger(difficulty)) return 'malformed';
+  if (difficulty < (config.difficulty || 16)) return 'difficulty';
+  if (resource !== host) return 'host';
+  if (!(issued <= now + PROOF_CLOCK_SKEW && now - issued <= PROOF_MAX_AGE)) return 'expired';
+  if (seenChallenges.has(proof.challenge)) return 'reused';
+
+  const nonce = String(proof.nonce);
+  if (!/^\d+$/.test(nonce)) return 'malformed';
+
+  const digest = crypto.createHash('sha256').update(`${proof.challenge}:${nonce}`).digest();
+  if (countLeadingZeroBits(digest) < difficulty) return 'hash';
+
+  seenChallenges.forEach((expires, challenge) => {
+    if (expires < now) seenChallenges.delete(challenge);
+  });
+  seenChallenges.set(proof.challenge, now + PROOF_MAX_AGE + PROOF_CLOCK_SKEW);
+
+  return null;
+}
+
+/**
+ * Check the wizard choices against the options in content.json
+ *
+ * @returns {Object|null} The cleaned inquiry, or null when it is invalid
+ */
+function checkInquiry(inquiry, content) {
+  const wizard = (content.contactForm && content.contactForm.wizard) || {};
+  if (!wizard.enabled) return inquiry ? null : {};
+  if (!inquiry || typeof inquiry !== 'object') return null;
+
+  const ids = options => (options || []).map(option => option.id);
+  const services = [].concat(inquiry.services || []);
+  const compliance = [].concat(inquiry.compliance || []);
+
+  const valid = services.length > 0 && services.every(id => ids(content.services).includes(id)) &&
+    compliance.every(id => ids(wizard.compliance).includes(id)) &&
+    ids(wizard.budgets).includes(inquiry.budget) &&
+    ids(wizard.timelines).includes(inquiry.timeline);
+
+  return valid ? { services, compliance, budget: inquiry.budget, timeline: inquiry.timeline } : null;
+}
+
+/**
+ * Check attachments like contact-attachments.js does
+ *
+ * @returns {string|null} Why they were refused, or null if they are acceptable
+ */
+function checkAttachments(files, config = {}) {
+  if (files.length === 0) return null;
+  if (!config.enabled) return 'Attachments are not accepted';
+  if (files.some(file => file.field !== 'attachments')) return 'Unexpected file field';
+  if (files.length > (config.maxFiles || 0)) return 'Too many files';
+  if (files.reduce((total, file) => total + file.data.length, 0) > (config.maxTotalSize || 0)) {
+    return 'Files are too large';
+  }
+
+  const accept = (config.accept || []).filter(extension => (
+    Object.prototype.hasOwnProperty.call(ATTACHMENT_SIGNATURES, extension)
+  ));
+
+  for (const file of files) {
+    const match = /\.([^.]+)$/.exec(file.name);
+    const extension = match ? match[1].toLowerCase() : '';
+    if (!accept.includes(extension)) return `${file.name}: type not allowed`;
+
+    const result = checkFileSignature(extension, file.data.subarray(0, 4096));
+    if (result !== 'ok') return `${file.name}: ${result}`;
+  }
+
+  return null;
+}
+
+/**
+ * Ids of submissions already in the JSON-lines file
+ */
+function loadSubmissionIds(file) {
+  const ids = new Set();
+  if (!fs.existsSync(file)) return ids;
+
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    try {
+      const record = JSON.parse(line);
+      if (record && record.id) ids.add(record.id);
+    } catch (error) {
+      // Blank or partial lines are skipped
+    }
+  });
+
+  return ids;
+}
+
+/**
+ * Save attachments next to the submissions file and append the record
+ */
+async function saveSubmission(options, record, files) {
+  const dir = path.dirname(options.submissions);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  if (files.length > 0) {
+    const attachmentsDir = path.join(dir, 'attachments');
+    await fs.promises.mkdir(attachmentsDir, { recursive: true });
+
+    record.attachments = await Promise.all(files.map(async (file, index) => {
+      const extension = /\.([^.]+)$/.exec(file.name)[1].toLowerCase();
+      // Stored under a generated name; the visitor's file name is only recorded
+      const stored = `${record.id}-${index + 1}.${extension}`;
+      await fs.promises.writeFile(path.join(attachmentsDir, stored), file.data, { flag: 'wx' });
+
+      return {
+        name: file.name.replace(/[\u0000-\u001f\u007f]/g, '').slice(0, 255),
+        size: file.data.length,
+        sha256: crypto.createHash('sha256').update(file.data).digest('hex'),
+        file: path.join('attachments', stored)
+      };
+    }));
+  }
+
+  await fs.promises.appendFile(options.submissions, `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Check and store one contact submission
+ */
+async function handleContact(req, res, options, state) {
+  const ip = getClientIp(req, options.trustProxy);
+
+  const attempt = state.attemptLimiter.check(ip);
+  if (!attempt.allowed) {
+    logRejection(ip, 'too many requests');
+    throw new HttpError(429, { error: 'Too many requests' }, { 'Retry-After': String(attempt.retryAfter) });
+  }
+  state.attemptLimiter.record(ip);
+
+  const locale = pickLocale(req, options.rootDir);
+  const content = await loadContent(options.rootDir, locale);
+  const formConfig = content.contactForm || {};
+  const attachmentConfig = formConfig.attachments || {};
+
+  const { data, files } = await readSubmission(req, attachmentConfig.enabled ? attachmentConfig.maxTotalSize || 0 : 0);
+
+  if (!checkOrigin(req)) {
+    logRejection(ip, 'cross-site request');
+    throw new HttpError(403, { error: 'Forbidden' });
+  }
+
+  if (!checkCsrf(req, data)) {
+    logRejection(ip, 'CSRF token missing or mismatched');
+    throw new HttpError(403, { error: 'Invalid CSRF token' });
+  }
+
+  const key = String(req.headers['idempotency-key'] || data.submission_id || '');
+  const id = /^[A-Za-z0-9-]{8,64}$/.test(key) ? key : crypto.randomUUID();
+  if (state.submissionIds.has(id)) {
+    sendJson(res, 200, { ok: true, duplicate: true });
+    return;
+  }
+
+  if (typeof data.website === 'string' ? data.website !== '' : data.website !== undefined) {
+    logRejection(ip, 'honeypot filled');
+    throw new HttpError(400, { error: 'Invalid submission' });
+  }
+
+  const fields = Array.isArray(formConfig.fields) && formConfig.fields.length > 0
+    ? formConfig.fields
+    : DEFAULT_CONTACT_FIELDS;
+  const { valid, errors } = validateSubmission(data, fields);
+  if (!valid) {
+    throw new HttpError(422, { errors });
+  }
+
+  const inquiry = checkInquiry(data.inquiry, content);
+  if (!inquiry) {
+    logRejection(ip, 'invalid inquiry choices');
+    throw new HttpError(422, { errors: { inquiry: 'Invalid choices' } });
+  }
+
+  const botDefense = { proofOfWork: true, difficulty: 16, ...formConfig.botDefense };
+  if (botDefense.proofOfWork) {
+    const reason = verifyProof(data.proof, botDefense, req.headers.host, state.seenChallenges);
+    if (reason) {
+      logRejection(ip, `proof of work ${reason}`);
+      throw new HttpError(400, { error: 'Invalid submission' });
+    }
+  }
+
+  const attachmentError = checkAttachments(files, attachmentConfig);
+  if (attachmentError) {
+    logRejection(ip, attachmentError);
+    throw new HttpError(422, { errors: { attachments: attachmentError } });
+  }
+
+  const limit = state.rateLimiter.check(ip);
+  if (!limit.allowed) {
+    logRejection(ip, 'rate limit reached');
+    throw new HttpError(429, { error: 'Too many submissions' }, { 'Retry-After': String(limit.retryAfter) });
+  }
+
+  // Only declared fields are stored, never the token, honeypot or extra keys
+  const declared = {};
+  fields.filter(field => isAllowedFieldName(field.name)).forEach(field => {
+    if (typeof data[field.name] === 'string') declared[field.name] = data[field.name].trim();
+  });
+
+  const record = {
+    id,
+    receivedAt: new Date().toISOString(),
+    locale,
+    fields: declared,
+    inquiry: formConfig.wizard && formConfig.wizard.enabled ? inquiry : null,
+    attachments: [],
+    signals: data.proof && Array.isArray(data.proof.signals) ? data.proof.signals.map(String) : []
+  };
+
+  // Claimed before the write so a concurrent retry is answered as a duplicate
+  state.submissionIds.add(id);
+  try {
+    await saveSubmission(options, record, files);
+  } catch (error) {
+    state.submissionIds.delete(id);
+    throw error;
+  }
+  state.rateLimiter.record(ip);
+
+  console.log(`[Security] Contact submission ${id} accepted`);
+  sendJson(res, 200, { ok: true, id });
+}
+
+/**
+ * Serve a file of the site
+ */
+function serveStatic(req, res, rootDir) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    pathname = '';
+  }
+  if (pathname === '/') pathname = '/index.html';
+
+  const filePath = path.join(rootDir, pathname);
+  const isServable = STATIC_PATH_PATTERN.test(pathname) && !pathname.split('/').some(segment => segment.startsWith('.')) &&
+    filePath.startsWith(rootDir + path.sep) && fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+
+  if (!isServable || !['GET', 'HEAD'].includes(req.method)) {
+    res.writeHead(isServable ? 405 : 404, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(isServable ? 'Method not allowed' : 'Not found');
+    return;
+  }
+
+  const headers = {
+    ...SECURITY_HEADERS,
+    'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+  };
+  if (req.method === 'HEAD') {
+    res.writeHead(200, headers);
+    res.end();
+    return;
+  }
+
+  // The status is only sent once the file is open: it may have been removed
+  // or become unreadable since it was checked
+  const stream = fs.createReadStream(filePath);
+  stream.on('open', () => {
+    res.writeHead(200, headers);
+    stream.pipe(res);
+  });
+  stream.on('error', error => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    const missing = error.code === 'ENOENT';
+    res.writeHead(missing ? 404 : 500, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(missing ? 'Not found' : 'Server error');
+  });
+}
+
+/**
+ * Create the server without listening, e.g. for integration tests:
+ *   const server = createContactServer({ submissions: tmpFile });
+ *   server.listen(0);
+ *
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @returns {http.Server}
+ */
+function createContactServer(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const state = {
+    rateLimiter: createIpRateLimiter('contact', settings.rateLimit, settings.rateWindow),
+    attemptLimiter: createIpRateLimiter('contact_attempts', settings.attemptLimit, settings.rateWindow),
+    submissionIds: loadSubmissionIds(settings.submissions),
+    seenChallenges: new Map()
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.url.split('?')[0] === '/api/contact') {
+      if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'POST' });
+        return;
+      }
+      handleContact(req, res, settings, state).catch(error => {
+        if (error instanceof HttpError) {
+          sendJson(res, error.status, error.body, error.headers);
+          return;
+        }
+        console.error(error);
+        sendJson(res, 500, { error: 'Server error' });
+      });
+      return;
+    }
+
+    serveStatic(req, res, settings.rootDir);
+  });
+
+  server.requestTimeout = 30000;
+  return server;
+}
+
+if (require.main === module) {
+  const options = { ...DEFAULT_OPTIONS, ...parseArgs(process.argv.slice(2)) };
+
+  createContactServer(options).listen(options.port, () => {
+    console.log(`Contact backend on http://localhost:${options.port}/contact.html`);
+    console.log(`Submissions are appended to ${options.submissions}`);
+  });
+}
+
+module.exports = { createContactServer };
@@ -0,0 +1,71 @@
+/**
+ * Service Worker
+ * Handles Background Sync for the contact outbox (assets/js/contact-outbox.js).
+ * Sending needs the page's CSRF token and rate limit state, so the worker
+ * asks an open page to flush the outbox instead of sending itself, and the
+ * sync only succeeds once a contact page reports the outbox empty.
+ * No requests are intercepted or cached.
+ */
+
+const OUTBOX_SYNC_TAG = 'contact-outbox';
+
+// Longest a page may take to answer a flush request
+const OUTBOX_FLUSH_TIMEOUT = 60 * 1000;
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+/**
+ * Ask one page to flush and wait for its answer on a MessageChannel.
+ * Pages without the contact form never answer; a contact page answers once
+ * its flush is done, with whether the outbox is empty.
+ */
+function requestClientFlush(client) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => {
+      channel.port1.close();
+      reject(new Error(`No flush confirmation from ${client.url}`));
+    }, OUTBOX_FLUSH_TIMEOUT);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      channel.port1.close();
+
+      if (event.data && event.data.type === 'outbox-flushed' && event.data.empty) {
+        resolve();
+      } else {
+        reject(new Error(`Outbox not empty after flush from ${client.url}`));
+      }
+    };
+
+    client.postMessage({ type: 'flush-outbox' }, [channel.port2]);
+  });
+}
+
+/**
+ * Ask every open page to flush; the outbox lock lets only one of them send.
+ * Resolves when one of them confirms the outbox is empty. Rejecting (no open
+ * page, no contact page, or messages left unsent) makes the browser retry
+ * the sync later.
+ */
+async function requestOutboxFlush() {
+  const clients = await self.clients.matchAll({ type: 'window' });
+
+  if (clients.length === 0) {
+    throw new Error('No open page to send the outbox from');
+  }
+
+  await Promise.any(clients.map(requestClientFlush));
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(requestOutboxFlush());
+  }
+});
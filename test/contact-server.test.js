@@ -0,0 +1,303 @@
+/**
+ * Contact Server Integration Tests
+ * Runs server/contact-server.js on a free port with its submissions in a
+ * temporary directory, and posts to /api/contact like contact-form.js does:
+ * CSRF token in a cookie and the X-CSRF-Token header, an Idempotency-Key
+ * and a solved proof of work.
+ *
+ * Usage: npm test
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+
+const { createContactServer } = require('../server/contact-server.js');
+
+const CSRF_TOKEN = 'a'.repeat(64);
+
+const VALID_FIELDS = {
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  message: 'We need a security review of our patient portal.',
+  inquiry: {
+    services: ['security-testing'],
+    compliance: ['hipaa'],
+    budget: '5k-15k',
+    timeline: 'asap'
+  }
+};
+
+/**
+ * Count the zero bits at the start of a digest
+ */
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+
+  return bits;
+}
+
+/**
+ * Solve a proof of work for a host, as pow-worker.js does
+ */
+function solveProof(host, difficulty = 16) {
+  const challenge = ['1', difficulty, Date.now(), host, crypto.randomBytes(16).toString('hex')].join(':');
+
+  for (let nonce = 0; ; nonce++) {
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (countLeadingZeroBits(digest) >= difficulty) {
+      return { algorithm: 'SHA-256', challenge, difficulty, nonce, signals: [] };
+    }
+  }
+}
+
+/**
+ * Start a server on a free port
+ *
+ * @param {Object} [options] - createContactServer() options
+ * @returns {Promise<{ server: http.Server, host: string, dir: string }>}
+ */
+async function startServer(options = {}) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'contact-server-'));
+  const server = createContactServer({ submissions: path.join(dir, 'submissions.jsonl'), ...options });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, host: `127.0.0.1:${server.address().port}`, dir };
+}
+
+/**
+ * Stop a server and remove its submissions
+ */
+async function stopServer({ server, dir }) {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Post a submission; a fresh proof of work is solved unless `proof` is given
+ *
+ * @returns {Promise<{ status: number, headers: Headers, body: Object }>}
+ */
+async function submit(host, fields = {}, { headers = {}, proof } = {}) {
+  const data = {
+    ...VALID_FIELDS,
+    submission_id: crypto.randomUUID(),
+    proof: proof || solveProof(host),
+    ...fields
+  };
+
+  const response = await fetch(`http://${host}/api/contact`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept-Language': 'en',
+      'Cookie': `csrf_token=${CSRF_TOKEN}`,
+      'X-CSRF-Token': CSRF_TOKEN,
+      'Idempotency-Key': data.submission_id,
+      ...headers
+    },
+    body: JSON.stringify(data)
+  });
+
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Submissions saved so far
+ */
+function readSubmissions(dir) {
+  const file = path.join(dir, 'submissions.jsonl');
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('POST /api/contact', () => {
+  let instance;
+
+  before(async () => {
+    instance = await startServer({ rateLimit: 100 });
+  });
+
+  after(async () => {
+    await stopServer(instance);
+  });
+
+  test('accepts a valid submission and stores only the declared fields', async () => {
+    const { status, body } = await submit(instance.host, { submission_id: 'valid-submission-0001' });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { ok: true, id: 'valid-submission-0001' });
+
+    const saved = readSubmissions(instance.dir).find(record => record.id === 'valid-submission-0001');
+    assert.ok(saved);
+    assert.deepStrictEqual(Object.keys(saved.fields).sort(), ['email', 'message', 'name']);
+    assert.strictEqual(saved.inquiry.budget, '5k-15k');
+  });
+
+  test('answers a repeated Idempotency-Key as a duplicate without saving again', async () => {
+    const first = await submit(instance.host, { submission_id: 'repeated-submission-01' });
+    const second = await submit(instance.host, { submission_id: 'repeated-submission-01' });
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 200);
+    assert.deepStrictEqual(second.body, { ok: true, duplicate: true });
+    assert.strictEqual(readSubmissions(instance.dir).filter(record => record.id === 'repeated-submission-01').length, 1);
+  });
+
+  test('refuses a CSRF token that does not match the cookie', async () => {
+    const { status, body } = await submit(instance.host, {}, { headers: { 'X-CSRF-Token': 'b'.repeat(64) } });
+
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.error, 'Invalid CSRF token');
+  });
+
+  test('refuses a submission without a CSRF cookie', async () => {
+    const { status } = await submit(instance.host, {}, { headers: { Cookie: '' } });
+
+    assert.strictEqual(status, 403);
+  });
+
+  test('answers invalid fields with 422 and the field errors', async () => {
+    const { status, body } = await submit(instance.host, { email: 'not-an-email', message: 'short' });
+
+    assert.strictEqual(status, 422);
+    assert.deepStrictEqual(Object.keys(body.errors).sort(), ['email', 'message']);
+    assert.strictEqual(body.errors.email, 'Please enter a valid email address');
+  });
+
+  test('refuses a proof of work that is used twice', async () => {
+    const proof = solveProof(instance.host);
+    const first = await submit(instance.host, {}, { proof });
+    const second = await submit(instance.host, {}, { proof });
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 400);
+  });
+
+  test('refuses a file whose content does not match its extension', async () => {
+    const body = new FormData();
+    const data = { ...VALID_FIELDS, proof: solveProof(instance.host) };
+
+    body.append('name', data.name);
+    body.append('email', data.email);
+    body.append('message', data.message);
+    Object.entries(data.inquiry).forEach(([name, value]) => {
+      [].concat(value).forEach(item => body.append(`inquiry.${name}`, item));
+    });
+    ['algorithm', 'challenge', 'difficulty', 'nonce'].forEach(name => body.append(`proof.${name}`, String(data.proof[name])));
+    body.append('attachments', new Blob(['MZ this is not a PDF']), 'report.pdf');
+
+    const response = await fetch(`http://${instance.host}/api/contact`, {
+      method: 'POST',
+      headers: {
+        'Cookie': `csrf_token=${CSRF_TOKEN}`,
+        'X-CSRF-Token': CSRF_TOKEN
+      },
+      body
+    });
+
+    assert.strictEqual(response.status, 422);
+    assert.ok((await response.json()).errors.attachments);
+  });
+});
+
+describe('rate limits', () => {
+  test('answers 429 with Retry-After once the submissions per IP are used up', async () => {
+    const instance = await startServer({ rateLimit: 1 });
+
+    try {
+      const first = await submit(instance.host);
+      const second = await submit(instance.host);
+
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(second.status, 429);
+      assert.ok(Number(second.headers.get('retry-after')) > 0);
+      assert.strictEqual(readSubmissions(instance.dir).length, 1);
+    } finally {
+      await stopServer(instance);
+    }
+  });
+
+  test('answers 429 once the requests per IP are used up, accepted or not', async () => {
+    const instance = await startServer({ attemptLimit: 2 });
+
+    try {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        statuses.push((await submit(instance.host, { email: 'invalid' })).status);
+      }
+
+      assert.deepStrictEqual(statuses, [422, 422, 429]);
+    } finally {
+      await stopServer(instance);
+    }
+  });
+
+  test('keys on the address added by the trusted proxy, not the client-supplied one', async () => {
+    const instance = await startServer({ attemptLimit: 2, trustProxy: 1 });
+
+    try {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        const headers = { 'X-Forwarded-For': `10.0.0.${i}, 203.0.113.7` };
+        statuses.push((await submit(instance.host, { email: 'invalid' }, { headers })).status);
+      }
+
+      assert.deepStrictEqual(statuses, [422, 422, 429]);
+    } finally {
+      await stopServer(instance);
+    }
+  });
+});
+
+describe('static files', () => {
+  let instance;
+  let rootDir;
+
+  before(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'contact-site-'));
+    await fs.promises.mkdir(path.join(rootDir, 'assets', 'images'), { recursive: true });
+    await Promise.all(['photo.jpeg', 'photo.gif', 'photo.avif'].map(name => (
+      fs.promises.writeFile(path.join(rootDir, 'assets', 'images', name), 'image')
+    )));
+    instance = await startServer({ rootDir });
+  });
+
+  after(async () => {
+    await stopServer(instance);
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test('serves every image type the content schema allows with its content type', async () => {
+    const types = {};
+    for (const name of ['photo.jpeg', 'photo.gif', 'photo.avif']) {
+      const response = await fetch(`http://${instance.host}/assets/images/${name}`);
+      types[name] = `${response.status} ${response.headers.get('content-type')}`;
+      await response.arrayBuffer();
+    }
+
+    assert.deepStrictEqual(types, {
+      'photo.jpeg': '200 image/jpeg',
+      'photo.gif': '200 image/gif',
+      'photo.avif': '200 image/avif'
+    });
+  });
+
+  test('answers 404 for files that do not exist', async () => {
+    const response = await fetch(`http://${instance.host}/assets/images/missing.png`);
+    await response.text();
+
+    assert.strictEqual(response.status, 404);
+  });
+});
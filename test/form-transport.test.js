@@ -0,0 +1,92 @@
+/**
+ * Form Transport Tests
+ * Loads assets/js/form-transport.js into a sandbox with a stub window and
+ * fetch, and checks what each transport puts on the wire.
+ *
+ * Usage: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { describe, test } = require('node:test');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'assets', 'js', 'form-transport.js'), 'utf8');
+
+const SUBMISSION = {
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  message: 'We need a security review of our patient portal.',
+  csrf_token: 'a'.repeat(64),
+  submission_id: 'attachment-submission-01',
+  proof: { algorithm: 'SHA-256', challenge: '1:16:0:example.com:salt', difficulty: 16, nonce: 42 },
+  inquiry: { services: ['security-testing'] }
+};
+
+/**
+ * Load the transport module with a fetch that records its requests
+ *
+ * @returns {{ createTransport: Function, requests: Array<{ url: string, options: Object }> }}
+ */
+function loadTransport() {
+  const requests = [];
+  const window = {
+    getLocale: () => 'en',
+    translate: key => key,
+    location: { href: '' }
+  };
+  const context = vm.createContext({
+    window,
+    console: { log() {}, warn() {} },
+    AbortController,
+    FormData,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    fetch: async (url, options) => {
+      requests.push({ url, options });
+      return new Response('{"ok":true}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+    }
+  });
+
+  vm.runInContext(SOURCE, context);
+  return { createTransport: window.createTransport, requests };
+}
+
+describe('attachments', () => {
+  test('form transport posts them without the CSRF token or proof of work', async () => {
+    const { createTransport, requests } = loadTransport();
+    const transport = createTransport({ type: 'form', endpoint: 'https://forms.example.com/f/abc' });
+    const file = new File(['%PDF-1.7'], 'brief.pdf', { type: 'application/pdf' });
+
+    const result = await transport.send({ ...SUBMISSION, attachments: [file] });
+
+    assert.strictEqual(result.via, 'multipart');
+    assert.strictEqual(requests.length, 1);
+
+    const { url, options } = requests[0];
+    const names = [...options.body.keys()];
+
+    assert.strictEqual(url, 'https://forms.example.com/f/abc');
+    assert.ok(!('X-CSRF-Token' in options.headers));
+    assert.strictEqual(options.headers['Idempotency-Key'], 'attachment-submission-01');
+    assert.ok(!names.some(name => name === 'csrf_token' || name.startsWith('proof')));
+    assert.deepStrictEqual(options.body.getAll('inquiry.services'), ['security-testing']);
+    assert.strictEqual(options.body.get('attachments').name, 'brief.pdf');
+  });
+
+  test('json transport sends the CSRF token in the header only and keeps the proof', async () => {
+    const { createTransport, requests } = loadTransport();
+    const transport = createTransport({ type: 'json', endpoint: '/api/contact' });
+    const file = new File(['%PDF-1.7'], 'brief.pdf', { type: 'application/pdf' });
+
+    await transport.send({ ...SUBMISSION, attachments: [file] });
+
+    const { options } = requests[0];
+
+    assert.strictEqual(options.headers['X-CSRF-Token'], SUBMISSION.csrf_token);
+    assert.strictEqual(options.body.get('csrf_token'), null);
+    assert.strictEqual(options.body.get('proof.nonce'), '42');
+  });
+});
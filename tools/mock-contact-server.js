@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Mock Contact Endpoint
+ * Serves the site and answers POST /api/contact so the contact form transport
+ * can be tried locally, including its retry, timeout and field-error paths
+ *
+ * Usage: node tools/mock-contact-server.js [--port <n>] [--fail <n>] [--delay <ms>] [--reject]
+ *   --fail <n>    answer the first n submissions with 503 (exercises retries)
+ *   --delay <ms>  wait before answering (exercises the timeout)
+ *   --reject      answer with 422 and field errors for name and email
+ * Every submission is printed with its CSRF and Idempotency-Key headers. Development only.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { port: 8080, fail: 0, delay: 0, reject: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port' && argv[i + 1]) {
+      options.port = Number(argv[++i]);
+    } else if (argv[i] === '--fail' && argv[i + 1]) {
+      options.fail = Number(argv[++i]);
+    } else if (argv[i] === '--delay' && argv[i + 1]) {
+      options.delay = Number(argv[++i]);
+    } else if (argv[i] === '--reject') {
+      options.reject = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and decode a JSON or form-encoded request body.
+ * Multipart bodies (submissions with attachments) are only measured.
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('error', reject);
+    req.on('end', () => {
+      const contentType = req.headers['content-type'] || '';
+      if (contentType.startsWith('multipart/form-data')) {
+        resolve({ multipart: `${Buffer.byteLength(raw)} bytes` });
+        return;
+      }
+
+      try {
+        resolve(contentType.startsWith('application/json')
+          ? JSON.parse(raw)
+          : Object.fromEntries(new URLSearchParams(raw)));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Serve a file from the repository
+ */
+function serveStatic(req, res) {
+  const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  const filePath = path.join(ROOT_DIR, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+  if (!filePath.startsWith(ROOT_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Answer a contact submission according to the options
+ */
+async function handleContact(req, res, options, state) {
+  state.received++;
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: 'Malformed body' });
+    return;
+  }
+
+  console.log(
+    `#${state.received} ${req.headers['content-type']}`,
+    `csrf=${req.headers['x-csrf-token'] || '(none)'}`,
+    `idempotency-key=${req.headers['idempotency-key'] || '(none)'}`,
+    body
+  );
+
+  if (options.delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, options.delay));
+  }
+
+  if (state.received <= options.fail) {
+    sendJson(res, 503, { error: 'Temporarily unavailable' });
+  } else if (options.reject) {
+    sendJson(res, 422, {
+      errors: {
+        name: 'The server did not accept this name',
+        email: 'The server did not accept this address'
+      }
+    });
+  } else {
+    sendJson(res, 200, { ok: true });
+  }
+}
+
+const options = parseArgs(process.argv.slice(2));
+const state = { received: 0 };
+
+http.createServer((req, res) => {
+  if (req.url.split('?')[0] === '/api/contact') {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    handleContact(req, res, options, state).catch(error => {
+      console.error(error);
+      sendJson(res, 500, { error: 'Mock server error' });
+    });
+    return;
+  }
+
+  serveStatic(req, res);
+}).listen(options.port, () => {
+  console.log(`Mock contact endpoint on http://localhost:${options.port}/contact.html`);
+});
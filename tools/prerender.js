@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Static Pre-rendering CLI
+ * Runs the site's own population scripts against each page at build time and
+ * writes fully rendered copies, so crawlers and no-JS visitors get real content
+ *
+ * Usage: node tools/prerender.js [--out <dir>] [--locale <code>]
+ * Defaults to dist/ and English. Static assets, data and includes are copied alongside.
+ *
+ * Pages are rendered with data-prerendering on <html>: modules such as
+ * portfolio-filter.js run their render step and skip their behavior
+ * (isPrerendering() in components.js). project.html is also rendered once per
+ * project, as project-<id>.html, which project links then point at.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const BASE_URL = 'http://localhost';
+
+const PAGES = ['index.html', 'about.html', 'services.html', 'portfolio.html', 'project.html', 'contact.html'];
+
+// Copied as-is next to the rendered pages
+const STATIC_ENTRIES = ['assets', 'data', 'includes', 'sw.js', 'CNAME'];
+
+// Scripts that only attach behavior and have nothing to render
+const BEHAVIOR_ONLY_SCRIPTS = [
+  'assets/js/main.js',
+  'assets/js/content-images.js',
+  'assets/js/form-transport.js',
+  'assets/js/contact-outbox.js',
+  'assets/js/contact-wizard.js',
+  'assets/js/contact-draft.js',
+  'assets/js/file-signatures.js',
+  'assets/js/contact-attachments.js',
+  'assets/js/contact-bot-defense.js'
+];
+
+// Rendered once per project as project-<id>.html
+const PROJECT_PAGE = 'project.html';
+
+// Keeps scroll animations and image fade-ins from hiding content when scripts never run
+const NO_JS_STYLES = '.animate-on-scroll { opacity: 1; transform: none; } .image-frame img { opacity: 1; }';
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { outDir: path.join(ROOT_DIR, 'dist'), locale: 'en' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out' && argv[i + 1]) {
+      options.outDir = path.resolve(process.cwd(), argv[++i]);
+    } else if (argv[i] === '--locale' && argv[i + 1]) {
+      options.locale = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Minimal fetch() that serves files from the repository
+ */
+function createFileFetch() {
+  return async (resource) => {
+    const pathname = new URL(String(resource), `${BASE_URL}/`).pathname;
+    const filePath = path.join(ROOT_DIR, decodeURIComponent(pathname));
+
+    if (!filePath.startsWith(ROOT_DIR) || !fs.existsSync(filePath)) {
+      return { ok: false, status: 404 };
+    }
+
+    const body = fs.readFileSync(filePath, 'utf8');
+    return {
+      ok: true,
+      status: 200,
+      text: async () => body,
+      json: async () => JSON.parse(body)
+    };
+  };
+}
+
+/**
+ * Forward only warnings and errors from the page to the terminal
+ */
+function createVirtualConsole(page) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('warn', (...args) => console.warn(`  [${page}]`, ...args));
+  virtualConsole.on('error', (...args) => console.error(`  [${page}]`, ...args));
+  virtualConsole.on('jsdomError', (error) => console.error(`  [${page}]`, error.message));
+  return virtualConsole;
+}
+
+/**
+ * Ids of the projects in a locale's content file
+ */
+function getProjectIds(locale) {
+  const content = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'data', `content.${locale}.json`), 'utf8'));
+  return (Array.isArray(content.portfolio) ? content.portfolio : []).map(item => item.id);
+}
+
+/**
+ * Render a single page and return the serialized HTML
+ *
+ * @param {string} page - HTML file in the repository
+ * @param {string} locale
+ * @param {Object} [params] - Extra query parameters, e.g. { id: 3 } for project.html
+ */
+async function renderPage(page, locale, params = {}) {
+  const html = fs.readFileSync(path.join(ROOT_DIR, page), 'utf8');
+  // i18n.js resolves the locale from ?lang= first
+  const query = new URLSearchParams({ ...params, lang: locale });
+  const dom = new JSDOM(html, {
+    url: `${BASE_URL}/${page}?${query}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: createVirtualConsole(page)
+  });
+  const { window } = dom;
+  const { document } = window;
+
+  window.fetch = createFileFetch();
+  // jsdom has no CSS object. escape() covers the selectors built at build
+  // time, from field names limited to letters, digits and _; supports()
+  // declines, so theme.js leaves its per-visitor colors out of the page
+  window.CSS = {
+    escape: value => String(value).replace(/[^\w-]/g, '\\$&'),
+    supports: () => false
+  };
+  document.documentElement.setAttribute('data-prerendering', '');
+
+  const scripts = Array.from(document.querySelectorAll('script[src]'))
+    .map(script => script.getAttribute('src'))
+    .filter(src => !/^https?:/.test(src) && !BEHAVIOR_ONLY_SCRIPTS.includes(src));
+
+  scripts.forEach(src => {
+    window.eval(fs.readFileSync(path.join(ROOT_DIR, src), 'utf8'));
+  });
+
+  await window.componentsReady;
+
+  if (window.getLocale() !== locale) {
+    throw new Error(`Unsupported locale: ${locale}`);
+  }
+
+  // The theme is per visitor; theme.js sets it again before first paint
+  document.documentElement.removeAttribute('data-bs-theme');
+  document.documentElement.removeAttribute('style');
+  
+  // The client compares this with its own locale before skipping render
+  document.documentElement.removeAttribute('data-prerendering');
+  document.documentElement.setAttribute('data-prerendered', locale);
+
+  const noscript = document.createElement('noscript');
+  const style = document.createElement('style');
+  style.textContent = NO_JS_STYLES;
+  noscript.appendChild(style);
+  document.head.appendChild(noscript);
+
+  const output = dom.serialize();
+  window.close();
+  return output;
+}
+
+/**
+ * Pre-render every page into the output directory
+ */
+async function prerender(options) {
+  fs.mkdirSync(options.outDir, { recursive: true });
+
+  STATIC_ENTRIES.forEach(entry => {
+    const source = path.join(ROOT_DIR, entry);
+    if (fs.existsSync(source)) {
+      fs.cpSync(source, path.join(options.outDir, entry), { recursive: true });
+    }
+  });
+
+  const pages = PAGES.map(page => ({ page, file: page }));
+  getProjectIds(options.locale).forEach(id => {
+    pages.push({ page: PROJECT_PAGE, file: `project-${id}.html`, params: { id } });
+  });
+
+  for (const { page, file, params } of pages) {
+    const output = await renderPage(page, options.locale, params);
+    fs.writeFileSync(path.join(options.outDir, file), output);
+    console.log(`✓ ${file}`);
+  }
+
+  console.log(`Pre-rendered ${pages.length} ${options.locale} pages into ${path.relative(process.cwd(), options.outDir) || '.'}`);
+}
+
+prerender(parseArgs(process.argv.slice(2))).catch(error => {
+  console.error(`✗ Pre-rendering failed: ${error.message}`);
+  process.exitCode = 1;
+});
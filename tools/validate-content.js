@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Content Validation CLI
+ * Checks content files against the schema used by the site before deploying
+ *
+ * Usage: node tools/validate-content.js [file ...]
+ * Defaults to every data/content.<locale>.json file. Exits with code 1 if any file has errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateContent, formatValidationError } = require('../assets/js/content-schema');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * List every locale content file in data/
+ */
+function findContentFiles() {
+  return fs.readdirSync(path.join(ROOT_DIR, 'data'))
+    .filter(name => /^content\.[a-z]{2}\.json$/.test(name))
+    .map(name => `data/${name}`);
+}
+
+/**
+ * Validate a single content file and print its problems
+ */
+function validateFile(file) {
+  const filePath = path.resolve(ROOT_DIR, file);
+  let content;
+
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`✗ ${file}: ${error.message}`);
+    return false;
+  }
+
+  const { errors, defaulted, dropped } = validateContent(content);
+
+  if (errors.length === 0) {
+    console.log(`✓ ${file}`);
+    return true;
+  }
+
+  console.error(`✗ ${file}: ${errors.length} problem(s)`);
+  errors.forEach(error => console.error(`  ${formatValidationError(error)}`));
+
+  if (defaulted.length > 0) {
+    console.error(`  Sections replaced by defaults: ${defaulted.join(', ')}`);
+  }
+  if (dropped.length > 0) {
+    console.error(`  Sections dropped: ${dropped.join(', ')}`);
+  }
+
+  return false;
+}
+
+const files = process.argv.slice(2);
+const results = (files.length > 0 ? files : findContentFiles()).map(validateFile);
+
+process.exitCode = results.every(Boolean) ? 0 : 1;